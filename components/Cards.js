@@ -0,0 +1,104 @@
+import { useEffect, useRef, useState } from "react";
+import { rankLabel, cardToString, cardName } from "../lib/cribbage";
+import { useTheme } from "./Theme";
+
+/** ---------------------- Cards ---------------------- */
+// enter ({ duration, delay, from }) slides the card in when it first appears: from "above" for a
+// dealt card, "below" for one played to the count. A selectable card is a toggle button (Space or
+// Enter selects it); any other card is an image named for screen readers.
+export function CardView({ card, selectable=false, selected=false, onClick, enter = null, tabIndex, onKeyDown, cardRef }) {
+  const ref = useRef(null);
+  const theme = useTheme();
+  const [focused, setFocused] = useState(false);
+  useEffect(()=>{
+    if (!enter || !enter.duration || !ref.current || !ref.current.animate) return;
+    const dy = enter.from === "below" ? 24 : -24;
+    ref.current.animate(
+      [{ opacity: 0, transform: `translateY(${dy}px)` }, { opacity: 1, transform: "translateY(0)" }],
+      { duration: enter.duration, delay: enter.delay || 0, easing: "ease-out", fill: "backwards" },
+    );
+  }, []);
+  const style = {
+    display: "inline-flex", alignItems: "center", justifyContent: "center",
+    width: 48, height: 64, borderRadius: 12, border: theme.cardBorder,
+    boxShadow: focused ? `0 0 0 3px ${theme.focus}` : "0 1px 2px rgba(0,0,0,0.05)", outline: "none",
+    background: "white", marginRight: 8, marginBottom: 8,
+    cursor: selectable ? "pointer" : "default", transform: selectable ? "translateY(0)" : "none", position: "relative"
+  };
+  const keys = (e) => {
+    if (selectable && (e.key === " " || e.key === "Enter")) { e.preventDefault(); onClick && onClick(); return; }
+    onKeyDown && onKeyDown(e);
+  };
+  const a11y = selectable
+    ? { role: "button", "aria-pressed": selected, tabIndex: tabIndex ?? 0, onKeyDown: keys, onFocus: () => setFocused(true), onBlur: () => setFocused(false) }
+    : { role: "img" };
+  return (
+    <div ref={(el) => { ref.current = el; cardRef && cardRef(el); }} onClick={onClick} style={style} aria-label={cardName(card)} {...a11y}>
+      <div aria-hidden="true" style={{ textAlign: "center", color: theme.suits[card.s] }}>
+        <div style={{ fontWeight: 600, lineHeight: "1rem" }}>{rankLabel(card.r)}</div>
+        <div style={{ fontSize: 18 }}>{card.s}</div>
+        {selected && <div style={{ position: "absolute", inset: 0, borderRadius: 12, boxShadow: `0 0 0 ${theme.selected} inset` }} />}
+      </div>
+    </div>
+  );
+}
+
+// With deal ({ key, duration, stagger }) the cards are dealt in one after another; a new key (the
+// next deal) deals them again. A selectable row is one tab stop: the arrow keys, Home and End move
+// between its cards.
+export function HandRow({ title, cards, selectable=false, selectedIds=[], onCardClick, deal = null }) {
+  const [focusAt, setFocusAt] = useState(0);
+  const refs = useRef([]);
+  const at = Math.min(focusAt, Math.max(0, cards.length - 1));
+  const move = (e) => {
+    const to = { ArrowLeft: at - 1, ArrowUp: at - 1, ArrowRight: at + 1, ArrowDown: at + 1, Home: 0, End: cards.length - 1 }[e.key];
+    if (to === undefined) return;
+    e.preventDefault();
+    const i = (to + cards.length) % cards.length;
+    setFocusAt(i);
+    refs.current[i] && refs.current[i].focus();
+  };
+  return (
+    <div style={{ marginBottom: 8 }}>
+      <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>{title}</div>
+      <div role={selectable ? "toolbar" : "group"} aria-label={title} style={{ display: "flex", flexWrap: "wrap" }}>
+        {cards.map((c,i)=> (
+          <CardView key={deal ? `${deal.key}:${cardToString(c)}` : i} card={c} selectable={selectable} selected={selectedIds.includes(cardToString(c))} onClick={()=>{ setFocusAt(i); onCardClick && onCardClick(c); }}
+            enter={deal && { duration: deal.duration, delay: i * deal.stagger, from: "above" }}
+            tabIndex={i === at ? 0 : -1} onKeyDown={move} cardRef={(el) => { refs.current[i] = el; }} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// The deck fanned for the pone's cut: card i (from the top) is the starter of a cut of i cards,
+// for i in min..max. at is the cut on offer; the arrow keys move it (onMove) and a click, Enter
+// or Space cuts there (onCut).
+export function CutDeck({ count, min, max, at, onMove, onCut }) {
+  const theme = useTheme();
+  const keys = (e) => {
+    const to = { ArrowLeft: at - 1, ArrowDown: at - 1, ArrowRight: at + 1, ArrowUp: at + 1, Home: min, End: max }[e.key];
+    if (to !== undefined) { e.preventDefault(); onMove(Math.max(min, Math.min(max, to))); }
+    else if (e.key === " " || e.key === "Enter") { e.preventDefault(); onCut(at); }
+  };
+  return (
+    <div role="slider" tabIndex={0} aria-label="Cut the deck: cards to lift off the top" aria-valuemin={min} aria-valuemax={max} aria-valuenow={at}
+      aria-valuetext={`${at} cards`} onKeyDown={keys}
+      style={{ display: "flex", padding: "12px 0 8px", marginBottom: 8, overflowX: "auto", outline: "none" }}>
+      {Array.from({ length: count }, (_, i) => {
+        const legal = i >= min && i <= max;
+        return (
+          <div key={i} onClick={()=>legal && onCut(i)} onMouseEnter={()=>legal && onMove(i)}
+            style={{
+              flex: "0 0 auto", width: 40, height: 56, marginRight: -28, borderRadius: 8, border: theme.cardBorder,
+              background: "repeating-linear-gradient(45deg, #4f46e5, #4f46e5 4px, #6366f1 4px, #6366f1 8px)",
+              opacity: legal ? 1 : 0.45, cursor: legal ? "pointer" : "not-allowed",
+              transform: i === at ? "translateY(-10px)" : "none", boxShadow: i === at ? `0 0 0 3px ${theme.focus}` : "0 1px 2px rgba(0,0,0,0.15)",
+              transition: "transform 120ms",
+            }} />
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+import { useState, useEffect, useRef } from "react";
+import { scoreMoves, pegTravelMs } from "../lib/animation";
+import { useTheme } from "./Theme";
+
+/** ---------------------- Cribbage Board (3‑Track SVG with Finish & Arrows) ---------------------- */
+// Layouts map a hole index to x/y and list the track's rows and turns; the board draws from them.
+function threeTrackLayout(cols = 40) {
+  // Indices: 0–39 top (L→R), 40–79 bottom (R→L), 80–120 middle (L→R); -1 is the start hole.
+  // A score of n sits in hole n-1, so 121 lands in the finish hole.
+  const gapX = 18;
+  const left = 42;
+  const topY = 28;
+  const rowGap = 44;
+  const yTop = topY;
+  const yMid = topY + rowGap;
+  const yBot = topY + rowGap * 2;
+
+  function segFor(i) { return i < cols ? 0 : (i < cols*2 ? 1 : 2); }
+  function colInSeg(i) {
+    const seg = segFor(i);
+    const idx = seg === 0 ? i : (seg === 1 ? i - cols : i - cols*2);
+    return seg === 1 ? cols - 1 - idx : idx;
+  }
+
+  function xFor(i) { return left + Math.min(colInSeg(i), cols) * gapX; }
+  function yForSeg(i) {
+    const seg = segFor(i);
+    return seg === 0 ? yTop : (seg === 1 ? yBot : yMid);
+  }
+
+  // Rows as [y, first index, hole count]; turns as [x, from y, to y] for the path arrows.
+  const rows = [[yTop, 0, cols], [yBot, cols, cols], [yMid, cols * 2, cols + 1]];
+  const turns = [[xFor(cols - 1), yTop, yBot], [xFor(cols * 2 - 1), yBot, yMid]];
+  return { xFor, yForSeg, rows, turns, width: left + cols * gapX + 24, height: yBot + 28, holes: cols * 3 + 1 };
+}
+
+// Single lap for a game to 61: out along the top, back along the bottom, finishing level with
+// the start hole.
+function singleLapLayout(cols = 30) {
+  const gapX = 18;
+  const left = 42;
+  const yTop = 28;
+  const yBot = yTop + 44;
+
+  function xFor(i) { return left + (i < cols ? i : cols * 2 - 1 - i) * gapX; }
+  function yForSeg(i) { return i < cols ? yTop : yBot; }
+
+  const rows = [[yTop, 0, cols], [yBot, cols, cols + 1]];
+  const turns = [[xFor(cols - 1), yTop, yBot]];
+  return { xFor, yForSeg, rows, turns, width: left + cols * gapX + 24, height: yBot + 28, holes: cols * 2 + 1 };
+}
+
+// Pegs: by default AI (gold, above the holes) and P (silver, below). sides lists one
+// { key, color, name? } per side for larger tables; their pegs are spread across the hole.
+const TWO_SIDES = [{ key: "AI", color: "#c9b037", name: "AI" }, { key: "P", color: "#b7b7b7", name: "You" }];
+
+// The board in words, for screen readers: where each side's pegs stand and what it still needs.
+// names overrides the sides' own names (hot-seat seats); a side without one is named by its key.
+export function boardDescription(sides, scores, prevScores, target, names = null) {
+  const at = sides.map(({ key, name }) => {
+    const score = scores?.[key] ?? 0, back = prevScores?.[key] ?? 0;
+    const label = names?.[key] ?? name ?? String(key);
+    const pegs = score > 0 ? `front peg ${score}, back peg ${back}` : "at the start";
+    return `${label}: ${pegs}, ${score >= target ? "out" : `${target - score} to go`}.`;
+  });
+  return `Cribbage board, game to ${target}. ${at.join(" ")}`;
+}
+
+// Peg positions per side as shown: { lead, trail, flying } in points, flying being the peg in
+// the air ({ at } between holes) while a score is pegged. With times (lib/animation.js) each score
+// is animated hole by hole along the track, the back peg leapfrogging the front one; without, or
+// when a change isn't a score (a new game), the pegs are simply placed.
+function useAnimatedPegs(sides, scores, prevScores, times) {
+  const placed = () => Object.fromEntries(sides.map(({ key }) => [key, { lead: scores?.[key] ?? 0, trail: prevScores?.[key] ?? 0, flying: null }]));
+  const [shown, setShown] = useState(placed);
+  const lastRef = useRef(shown);
+
+  useEffect(()=>{
+    const before = lastRef.current, target = placed();
+    lastRef.current = target;
+    const plans = sides.map(({ key }) => {
+      const moves = times && before[key] ? scoreMoves({ score: before[key].lead, prev: before[key].trail }, { score: target[key].lead, prev: target[key].trail }) : null;
+      return { key, moves: moves && moves.length ? moves : null };
+    });
+    if (!plans.some(p => p.moves)) { setShown(target); return; }
+    const start = performance.now();
+    let frame;
+    const tick = (now) => {
+      let running = false;
+      const view = {};
+      for (const { key, moves } of plans) {
+        if (!moves) { view[key] = target[key]; continue; }
+        let pos = { lead: before[key].lead, trail: before[key].trail, flying: null }, elapsed = now - start;
+        for (const m of moves) {
+          const ms = pegTravelMs(m.to - m.from, times);
+          if (elapsed >= ms) { pos = { lead: m.to, trail: pos.lead, flying: null }; elapsed -= ms; continue; }
+          pos = { ...pos, trail: null, flying: { at: m.from + (m.to - m.from) * (elapsed / ms) } };
+          running = true;
+          break;
+        }
+        view[key] = pos;
+      }
+      setShown(view);
+      if (running) frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [JSON.stringify([scores, prevScores, times])]);
+
+  return shown;
+}
+
+export function CribbageBoard({ scores, prevScores, target = 121, skunkLine = 91, doubleSkunkLine = 61, sides = TWO_SIDES, singleLap = false, times = null, names = null }) {
+  const theme = useTheme();
+  const { xFor, yForSeg, rows, turns, width, height, holes: holeCount } = singleLap && target <= 61 ? singleLapLayout(30) : threeTrackLayout(40);
+
+  // Holes
+  const holes = [];
+  for (const [y, first, count] of rows) {
+    for (let i = first; i < first + count; i++) holes.push(<circle key={"h"+i} cx={xFor(i)} cy={y} r={3} fill="#94a3b8" />);
+  }
+  holes.push(<circle key="start" cx={xFor(-1)} cy={yForSeg(0)} r={4} fill="#e2e8f0" stroke="#94a3b8" strokeWidth="1" />);
+
+  // Divider ticks every 5
+  const ticks = [];
+  for (let i = 5; i < holeCount; i += 5) {
+    const x = xFor(i - 1);
+    const y = yForSeg(i - 1);
+    ticks.push(<line key={"tick"+i} x1={x} y1={y-10} x2={x} y2={y+10} stroke="#cbd5e1" strokeWidth="1" />);
+  }
+
+  // Skunk ticks (short vertical) at the first hole that escapes each line
+  const skunkTick = (key, line, color) => {
+    const x = xFor(line - 1), y = yForSeg(line - 1);
+    return <line key={key} x1={x} y1={y-6} x2={x} y2={y+6} stroke={color} strokeWidth="2" />;
+  };
+  const skunks = [
+    doubleSkunkLine > 0 && skunkTick("dsk", doubleSkunkLine, "#dc2626"),
+    skunkTick("sk", skunkLine, "#ef4444"),
+  ];
+
+  // Path arrows at each turn of the track (down from the top row, then up to the middle row)
+  const arrows = turns.map(([x, from, to], i) => {
+    const dir = to > from ? 1 : -1;
+    const tip = to - dir * 4, base = to - dir * 10;
+    return (
+      <g key={"ar"+i}>
+        <line x1={x} y1={from+dir*10} x2={x} y2={base} stroke="#64748b" strokeWidth="1.5" strokeDasharray="3 3" />
+        <polygon points={`${x-4},${base} ${x+4},${base} ${x},${tip}`} fill="#64748b" />
+      </g>
+    );
+  });
+
+  // Finish hole (index 120 for a game to 121, 60 for 61)
+  const xf = xFor(target - 1), yf = yForSeg(target - 1);
+  const finish = (
+    <g key="finish">
+      <circle cx={xf} cy={yf} r={7} fill="#fde68a" stroke="#f59e0b" strokeWidth="2" />
+      <text x={xf+10} y={yf+4} fontSize="12" fill="#92400e" style={{fontWeight:700}}>FINISH</text>
+    </g>
+  );
+
+  // Small x-offset for "trail" peg so both pegs are visible when overlapping.
+  const TRAIL_SHIFT = -3;
+
+  const holeAt = (i) => {
+    const idx = Math.max(-1, Math.min(target - 1, i - 1));
+    return [xFor(idx), yForSeg(idx)];
+  };
+  // The high-contrast theme draws some sides' pegs square, so they differ by more than colour.
+  const pegShape = (x, y, r, color, square) => (square
+    ? <rect x={x - r} y={y - r} width={r * 2} height={r * 2} fill={color} stroke="#111827" strokeWidth="1" />
+    : <circle cx={x} cy={y} r={r} fill={color} stroke="#111827" strokeWidth="1" />);
+  const peg = (i, color, dy, xShift=0, r = 6, square = false) => {
+    const [x, y] = holeAt(i);
+    return pegShape(x + xShift, y + dy, r, color, square);
+  };
+  // A peg in the air: between two holes, lifted at the middle of each hop. Between the ends of two
+  // rows the holes share an x, so the peg follows the turn of the track.
+  const flyingPeg = (at, color, dy, r, square) => {
+    const from = Math.floor(at), f = at - from;
+    const [x0, y0] = holeAt(from), [x1, y1] = holeAt(from + 1);
+    const lift = 6 * Math.sin(Math.PI * f);
+    return pegShape(x0 + (x1 - x0) * f, y0 + (y1 - y0) * f + dy - lift, r + 1, color, square);
+  };
+  const shown = useAnimatedPegs(sides, scores, prevScores, times);
+
+  // Two sides sit 7 above and below the holes; more are spaced evenly over the same band.
+  // Each side draws its trail peg (shifted) first, then its lead peg.
+  const spread = sides.length > 2 ? 16 / (sides.length - 1) : 14;
+  const pegR = sides.length > 2 ? 4.5 : 6;
+  const pegs = sides.map(({ key, color: own }, i) => {
+    const color = theme.pegs[key] || own, square = theme.pegShapes[key] === "square";
+    const dy = sides.length > 2 ? -8 + i * spread : -7 + i * spread;
+    const { lead, trail, flying } = shown[key] || { lead: 0, trail: 0, flying: null };
+    return (
+      <g key={"peg"+key}>
+        {trail !== null && peg(trail, color, dy, TRAIL_SHIFT, pegR, square)}
+        {peg(lead, color, dy, 0, pegR, square)}
+        {flying && flyingPeg(flying.at, color, dy, pegR, square)}
+      </g>
+    );
+  });
+
+  return (
+    <div style={{ width: "100%", padding: 8, background: "#fff", border: "1px solid #e5e7eb", borderRadius: 12 }}>
+      <svg width="100%" height={rows.length === 2 ? 220 : 300} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={boardDescription(sides, scores, prevScores, target, names)}>
+        <rect x="8" y="8" width={width-16} height={height-16} rx="12" ry="12" fill="#f1f5f9" stroke="#e2e8f0" />
+        {ticks}
+        {skunks}
+        {arrows}
+        {holes}
+        {finish}
+
+        {pegs}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import { cardToString } from "../lib/cribbage";
+
+/** ---------------------- The Show ---------------------- */
+// Two-seat results name pone, dealer and crib; larger tables (lib/multiGame.js) list sections in order.
+export function ShowPanel({ result }) {
+  const sections = result.sections || [result.pone, result.dealer, result.crib];
+  return (
+    <div style={{ background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 13 }}>
+      {sections.map((sec) => (
+        <div key={sec.title} style={{ marginBottom: 10 }}>
+          <div style={{ fontWeight: 700, marginBottom: 4 }}>
+            {sec.title}: {sec.cards.map(cardToString).join(" ")} + {cardToString(sec.starter)} = {sec.total}
+            {sec.counted === false && <span style={{ fontWeight: 400, color: "#6b7280" }}> — not counted, game already over</span>}
+          </div>
+          {sec.items.length === 0 ? (
+            <div style={{ color: "#6b7280" }}>Nineteen — no points.</div>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse" }}>
+              <tbody>
+                {sec.items.map((it, i) => (
+                  <tr key={i} style={{ borderTop: "1px solid #f3f4f6" }}>
+                    <td style={{ padding: "2px 4px", color: "#374151" }}>{it.label}</td>
+                    <td style={{ padding: "2px 4px" }}>{it.cards.map(cardToString).join(" ")}</td>
+                    <td style={{ padding: "2px 4px", textAlign: "right", fontWeight: 600 }}>{it.points}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { createContext, useContext } from "react";
+
+/** ---------------------- Themes ---------------------- */
+// Colours for the cards and pegs. High contrast uses the Okabe–Ito palette, which stays apart
+// under the common kinds of colour blindness: each suit its own colour, heavier card edges, and
+// pegs told apart by shape (square for P) as well as colour.
+export const THEMES = {
+  standard: {
+    theme: "standard", name: "Standard",
+    suits: { "♠": "#111827", "♣": "#111827", "♥": "#ef4444", "♦": "#ef4444" },
+    cardBorder: "1px solid #e5e7eb", selected: "2px #6366f1", focus: "#6366f1",
+    pegs: {}, pegShapes: {},
+  },
+  contrast: {
+    theme: "contrast", name: "High contrast",
+    suits: { "♠": "#000000", "♣": "#009E73", "♥": "#D55E00", "♦": "#0072B2" },
+    cardBorder: "2px solid #000000", selected: "3px #000000", focus: "#E69F00",
+    pegs: { P: "#0072B2", AI: "#E69F00" }, pegShapes: { P: "square" },
+  },
+};
+export const DEFAULT_THEME = "standard";
+
+const ThemeContext = createContext(THEMES[DEFAULT_THEME]);
+export const ThemeProvider = ({ theme, children }) => (
+  <ThemeContext.Provider value={THEMES[theme] || THEMES[DEFAULT_THEME]}>{children}</ThemeContext.Provider>
+);
+export const useTheme = () => useContext(ThemeContext);
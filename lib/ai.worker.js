@@ -0,0 +1,34 @@
+/** ---------------------- AI Worker ---------------------- */
+// Protocol: { id, type, payload } in, { id, result } out. Each request carries its own rng seed
+// so results stay reproducible; cancellation is done by terminating the worker.
+import { seededRng, deriveSeed, chooseDiscardsAI, evaluateDiscards, evaluateDiscardsExact, aiPeggingMove } from "./cribbage.js";
+import { reviewDecision } from "./analysis.js";
+import { inEndgame, discardObjective, peggingObjective } from "./position.js";
+import { parsePuzzle, solvePuzzle } from "./puzzles.js";
+
+// Position-aware levels send the score position; near the finish the AI plays for win probability.
+const endgame = (position) => position && inEndgame(position);
+
+const handlers = {
+  discard: ({ hand, seen, isDealer, sims, mode, rules, style, position }, rng) =>
+    chooseDiscardsAI(hand, seen, isDealer, sims, rng, mode, rules, style, endgame(position) ? discardObjective(position) : null),
+  peg: ({ state, sims, mode, style, position, rules }, rng) =>
+    aiPeggingMove(state, sims, rng, mode, style, endgame(position) ? peggingObjective(position, rules) : null),
+  advise: ({ hand, seen, isDealer, sims, mode, rules }, rng) => {
+    const mcRows = evaluateDiscards(hand, seen, isDealer, sims, rng, rules);
+    // Exact mode keeps the sampled net alongside so the two paths can be compared row by row.
+    return mode === "exact"
+      ? evaluateDiscardsExact(hand, seen, isDealer, rules).map((row, i) => ({ ...row, mcNet: mcRows[i].net }))
+      : mcRows;
+  },
+  // Each decision gets its own rng from the request's seed, so one review doesn't shift the next.
+  review: ({ decisions, sims, style, seed }) => decisions.map((d, i) => reviewDecision(d, sims, seededRng(deriveSeed(seed, i)), style)),
+  // Exhaustive, so no rng; an unseen four-card hand takes a few seconds.
+  puzzle: ({ puzzle }) => solvePuzzle(parsePuzzle(puzzle)),
+};
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data;
+  const result = handlers[type](payload, seededRng(payload.seed));
+  self.postMessage({ id, result });
+};
@@ -0,0 +1,68 @@
+import { cardToString, cardsEqual, legalPlays, evaluateDiscardsExact, evaluatePegPlays } from "./cribbage.js";
+import { pegView } from "./gameMachine.js";
+
+/** ---------------------- Play Review ---------------------- */
+// Judges P's decisions in a deal with the evaluators the AI plays by, from what P could see at the
+// time: the discard against the exact toss EVs, each pegging play against the rollouts.
+export const ACCURATE_MARGIN = 0.1; // within this many points of the best counts as the best choice
+export const REVIEW_PEG_SIMS = 1000; // rollouts per play at least, whatever the AI's own setting
+
+// Rollouts are noisy, so a play also counts as the best while its shortfall is within two standard
+// errors of the difference.
+const rolloutMargin = (a, b) => Math.max(ACCURATE_MARGIN, 2 * Math.sqrt(a.se * a.se + b.se * b.se));
+export const isAccurate = (r) => r.lost < (r.margin ?? ACCURATE_MARGIN);
+
+// P's decisions in the last deal of walkGame steps (lib/record.js). Forced plays are left out.
+export function dealDecisions(steps) {
+  let start = steps.length - 1;
+  while (start > 0 && steps[start].action.type !== "deal") start--;
+  const decisions = [];
+  for (let i = start + 1; i < steps.length; i++) {
+    const { action } = steps[i], before = steps[i - 1].state;
+    if (action.who !== "P") continue;
+    if (action.type === "discard") {
+      decisions.push({ kind: "discard", hand: before.pHand, toss: action.cards, isDealer: before.dealer === "P", rules: before.rules });
+    }
+    if (action.type === "play" && legalPlays(before.peg.pHand, before.peg.total).length > 1) {
+      decisions.push({ kind: "peg", card: action.card, total: before.peg.total, state: pegView(before, "P") });
+    }
+  }
+  return decisions;
+}
+
+// style is the opponent's personality (lib/opponents.js), so the review weighs the crib and the
+// points pegged back the way the AI at the table does. rng should be seeded from the deal, so
+// reviewing the same deal again gives the same verdicts.
+export function reviewDecision(d, sims, rng, style) {
+  if (d.kind === "discard") {
+    const rows = evaluateDiscardsExact(d.hand, [], d.isDealer, d.rules, style);
+    const best = rows.reduce((a, b) => (b.net > a.net ? b : a));
+    const chosen = rows.find(row => row.toss.every(c => d.toss.some(t => cardsEqual(t, c))));
+    return { kind: "discard", chosen: d.toss, best: best.toss, lost: best.net - chosen.net, margin: ACCURATE_MARGIN };
+  }
+  const rows = evaluatePegPlays(d.state, Math.max(sims, REVIEW_PEG_SIMS), rng, style);
+  const best = rows.reduce((a, b) => (b.expected > a.expected ? b : a));
+  const chosen = rows.find(row => cardsEqual(row.card, d.card));
+  return {
+    kind: "peg", total: d.total, chosen: [d.card], best: [best.card],
+    lost: best.expected - chosen.expected, margin: rolloutMargin(best, chosen),
+  };
+}
+
+export function describeReview(r) {
+  const cards = (cs) => cs.map(cardToString).join("");
+  const what = r.kind === "discard" ? `You tossed ${cards(r.chosen)}` : `At ${r.total} you played ${cards(r.chosen)}`;
+  if (isAccurate(r)) return `${what} — the best choice.`;
+  return `${what}; best was ${cards(r.best)}, −${r.lost.toFixed(1)} pts`;
+}
+
+/** ---------------------- Session Accuracy ---------------------- */
+export const emptyAccuracy = () => ({ decisions: 0, accurate: 0, lost: 0 });
+
+export function addReviews(acc, reviews) {
+  return {
+    decisions: acc.decisions + reviews.length,
+    accurate: acc.accurate + reviews.filter(isAccurate).length,
+    lost: acc.lost + reviews.reduce((sum, r) => sum + r.lost, 0),
+  };
+}
@@ -0,0 +1,92 @@
+import { cardValue15, isPairRunPoints } from "./cribbage.js";
+
+/** ---------------------- Animation ---------------------- */
+// Timings for the table's animations (peg moves on the board, dealt and played cards, pegging
+// call-outs) at each speed setting. The board and the cards animate from these, and the game hook
+// holds the AI back for as long as they run, so a reply never lands mid-animation.
+export const ANIMATION_SPEEDS = {
+  off: { speed: "off", name: "Off", factor: 0 },
+  fast: { speed: "fast", name: "Fast", factor: 0.5 },
+  normal: { speed: "normal", name: "Normal", factor: 1 },
+  slow: { speed: "slow", name: "Slow", factor: 2 },
+};
+export const DEFAULT_SPEED = "normal";
+
+// Milliseconds at normal speed: per hole a peg travels (up to pegMax a move), for a card to
+// arrive, between dealt cards, and for a call-out to stay up.
+const BASE_TIMES = { hop: 60, pegMax: 1200, card: 250, dealStagger: 80, callout: 1000 };
+
+export function animationTimes(speed = DEFAULT_SPEED) {
+  const f = (ANIMATION_SPEEDS[speed] || ANIMATION_SPEEDS[DEFAULT_SPEED]).factor;
+  return Object.fromEntries(Object.entries(BASE_TIMES).map(([k, ms]) => [k, ms * f]));
+}
+
+export const pegTravelMs = (holes, times) => Math.min(times.pegMax, holes * times.hop);
+
+// How one side's pegs get from (score, prev) to (score', prev'): the back peg leapfrogs the front
+// one for each score. One score moves the back peg from prev to score'; two in one step (a hand
+// and the crib, a play and the go) move the back peg to prev' and then the other to score'.
+// null when the new position can't be reached that way (a new game, a restored save).
+export function scoreMoves(from, to) {
+  if (from.score === to.score && from.prev === to.prev) return [];
+  if (to.score <= from.score) return null;
+  if (to.prev === from.score) return [{ from: from.prev, to: to.score }];
+  if (to.prev > from.score && to.prev < to.score) return [{ from: from.prev, to: to.prev }, { from: from.score, to: to.score }];
+  return null;
+}
+
+function pegMs(before, after, times) {
+  let ms = 0;
+  for (const key of Object.keys(after.scores)) {
+    const moves = scoreMoves({ score: before.scores[key], prev: before.prevScores[key] }, { score: after.scores[key], prev: after.prevScores[key] });
+    if (moves) ms = Math.max(ms, moves.reduce((a, m) => a + pegTravelMs(m.to - m.from, times), 0));
+  }
+  return ms;
+}
+
+/** ---------------------- Call-outs ---------------------- */
+const WORDS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven", "twelve"];
+const PAIRS = { 2: "Pair for two", 6: "Pair royal for six", 12: "Double pair royal for twelve" };
+
+// What a player says for a card played onto the count.
+export function playCallout(stack, total, card) {
+  const t = total + cardValue15(card.r);
+  const parts = [];
+  if (t === 15) parts.push("Fifteen for two");
+  if (t === 31) parts.push("31 for two");
+  const pairRun = isPairRunPoints(stack, card);
+  // A pair at the end of the stack rules out a run, so the points are one or the other.
+  if (pairRun) parts.push(stack.length && stack[stack.length - 1].r === card.r ? PAIRS[pairRun] : `Run of ${WORDS[pairRun]} for ${WORDS[pairRun]}`);
+  return parts;
+}
+
+// The call-outs for one action of the two-seat engine (lib/gameMachine.js), a list of
+// { who, text } or null: the play's points, a Go, and the point for the go or the last card when
+// the count ends. In count-your-own games P's own points are for P to call.
+export function actionCallouts(before, after, action) {
+  if (action.type !== "play" && action.type !== "go") return null;
+  const parts = [];
+  const who = action.who;
+  if (action.type === "go") parts.push("Go");
+  else if (!(before.options.countOwn && who === "P")) parts.push(...playCallout(before.peg.stack, before.peg.total, action.card));
+  const thirtyOne = action.type === "play" && before.peg.total + cardValue15(action.card.r) === 31;
+  const ended = after.phase === "show" || (after.peg.total === 0 && after.peg.stack.length === 0);
+  let extra = null;
+  if (!thirtyOne && ended && after.peg.lastPlayer) {
+    const last = after.peg.pHand.length === 0 && after.peg.aiHand.length === 0;
+    extra = { who: after.peg.lastPlayer, text: last ? "one for last card" : "one for the go" };
+  }
+  if (extra && extra.who === who) parts.push(extra.text);
+  const lines = [];
+  if (parts.length) lines.push({ who, text: parts.join(", ") });
+  if (extra && extra.who !== who) lines.push(extra);
+  return lines.length ? lines.map(l => ({ ...l, text: l.text[0].toUpperCase() + l.text.slice(1) })) : null;
+}
+
+// How long the table animates after an action: the cards moving, the pegs moving and any
+// call-out, which all run at once.
+export function animationMs(before, after, action, times) {
+  const cards = action.type === "deal" ? times.dealStagger * 5 + times.card : (action.type === "play" ? times.card : 0);
+  const callout = actionCallouts(before, after, action) ? times.callout : 0;
+  return Math.max(cards, pegMs(before, after, times), callout);
+}
@@ -0,0 +1,53 @@
+import { cardName, cardValue15 } from "./cribbage.js";
+import { actionCallouts } from "./animation.js";
+
+/** ---------------------- Announcements ---------------------- */
+// What a screen reader hears after an action of the two-seat engine (lib/gameMachine.js): the
+// move, any call-outs, the score when it changes and whose turn it is. names maps a seat to how it
+// is spoken ("You", "AI", "Player 1"); seat is the one watching, whose own hand and discards are
+// read out (null in hot-seat, where neither hand is).
+const list = (cards) => cards.map(cardName).join(", ");
+
+export function announceAction(before, after, action, names, seat = null) {
+  const your = (who) => (who === seat ? "Your" : `${names[who]}'s`);
+  const parts = [];
+  switch (action.type) {
+    case "deal":
+      parts.push(`New deal. ${your(after.dealer)} crib.`);
+      if (seat) parts.push(`Your cards: ${list(after[seat === "P" ? "pHand" : "aiHand"])}.`);
+      break;
+    case "discard":
+      parts.push(action.who === seat ? `You put ${list(after.tossed[seat])} in the crib.` : `${names[action.who]} has discarded.`);
+      break;
+    case "cut":
+      if (action.at != null) parts.push(`${names[after.dealer === "P" ? "AI" : "P"]} cut ${action.at} cards.`);
+      parts.push(`Starter: ${cardName(after.starter)}.`);
+      if (after.starter.r === 11) parts.push("Two for his heels to the dealer.");
+      break;
+    case "play":
+      parts.push(`${names[action.who]} played ${cardName(action.card)}, count ${before.peg.total + cardValue15(action.card.r)}.`);
+      break;
+    case "show":
+      for (const sec of Object.values(after.showResult || {})) {
+        if (!sec.counted) continue;
+        // In count-your-own games P's true count is left for muggins, as in the log.
+        const counts = after.options.countOwn && sec.who === "P" ? "" : ` counts ${sec.total}`;
+        parts.push(`${your(sec.who)} ${sec.key === "crib" ? "crib" : "hand"}${counts}: ${list(sec.cards)}.`);
+      }
+      break;
+    default:
+      break;
+  }
+  // A go is only announced through its call-out.
+  for (const line of actionCallouts(before, after, action) || []) parts.push(`${names[line.who]}: ${line.text}.`);
+  if (after.scores.P !== before.scores.P || after.scores.AI !== before.scores.AI) {
+    parts.push(`Score: ${names.P} ${after.scores.P}, ${names.AI} ${after.scores.AI}.`);
+  }
+  if (after.gameOver && !before.gameOver) {
+    const loser = after.winner === "P" ? "AI" : "P";
+    parts.push(`${names[after.winner]} won, ${after.scores[after.winner]} to ${after.scores[loser]}.`);
+  } else if (after.phase === "pegging" && ["cut", "play", "go"].includes(action.type)) {
+    parts.push(`${your(after.peg.next)} turn, count ${after.peg.total}.`);
+  }
+  return parts.join(" ");
+}
@@ -0,0 +1,510 @@
+import { DEFAULT_RULES } from "./rules.js";
+import { DEFAULT_PERSONALITY } from "./opponents.js";
+
+/** ---------------------- Utilities & Types ---------------------- */
+export const SUITS = ["♣", "♦", "♥", "♠"];
+const RANKS = [1,2,3,4,5,6,7,8,9,10,11,12,13]; // 1=A, 11=J,12=Q,13=K
+
+export const rankLabel = (r) => r === 1 ? "A" : r === 11 ? "J" : r === 12 ? "Q" : r === 13 ? "K" : String(r);
+export const cardToString = (c) => `${rankLabel(c.r)}${c.s}`;
+const RANK_NAMES = ["", "ace", "2", "3", "4", "5", "6", "7", "8", "9", "10", "jack", "queen", "king"];
+const SUIT_NAMES = { "♣": "clubs", "♦": "diamonds", "♥": "hearts", "♠": "spades" };
+export const cardName = (c) => `${RANK_NAMES[c.r]} of ${SUIT_NAMES[c.s]}`; // for screen readers
+export const cardValue15 = (r) => (r > 10 ? 10 : r);
+
+export function makeDeck() {
+  const d = [];
+  for (const s of SUITS) for (const r of RANKS) d.push({ r, s });
+  return d;
+}
+
+export function shuffle(arr, rng) { // Fisher-Yates
+  const a = arr.slice();
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+export function seededRng(seed) { // Mulberry32
+  const next = function() {
+    let t = seed += 0x6D2B79F5;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.state = () => seed; // resume with seededRng(rng.state())
+  return next;
+}
+
+// An independent sub-seed for one use of a seed (a later game in a match, one AI decision), so a
+// whole session reproduces from the single seed the player sees.
+export function deriveSeed(seed, ...parts) {
+  let h = seed >>> 0;
+  for (const p of parts) h = Math.floor(seededRng(h ^ Math.imul(p + 1, 0x9E3779B1))() * 4294967296);
+  return h;
+}
+
+export const dailyKey = (date = new Date()) => date.toISOString().slice(0, 10); // UTC, same deal everywhere
+
+export function dailySeed(date = new Date()) { // FNV-1a of the date key
+  const key = dailyKey(date);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) { h ^= key.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+
+/** ---------------------- Combinatorics & Scoring ---------------------- */
+function combos(arr) {
+  const res = [];
+  const n = arr.length;
+  for (let mask = 1; mask < (1 << n); mask++) {
+    const subset = [];
+    for (let i = 0; i < n; i++) if (mask & (1 << i)) subset.push(arr[i]);
+    res.push(subset);
+  }
+  return res;
+}
+
+export function count15(cards) {
+  let pts = 0;
+  for (const subset of combos(cards)) {
+    const sum = subset.reduce((a, c) => a + cardValue15(c.r), 0);
+    if (sum === 15) pts += 2;
+  }
+  return pts;
+}
+
+export function countPairs(cards) {
+  let pts = 0;
+  const ranks = {};
+  for (const c of cards) ranks[c.r] = (ranks[c.r] || 0) + 1;
+  for (const k in ranks) {
+    const n = ranks[k];
+    if (n >= 2) pts += (n * (n - 1)) / 2 * 2; // each pair 2 points
+  }
+  return pts;
+}
+
+export function countRuns(cards) {
+  // Runs anywhere (hand/crib scoring). Accounts for duplicates correctly.
+  const byRank = {};
+  for (const c of cards) byRank[c.r] = (byRank[c.r] || 0) + 1;
+  const unique = Object.keys(byRank).map(Number).sort((a,b)=>a-b);
+  let bestLen = 0, total = 0, i = 0;
+  while (i < unique.length) {
+    let j = i;
+    while (j + 1 < unique.length && unique[j + 1] === unique[j] + 1) j++;
+    const runLen = j - i + 1;
+    if (runLen >= 3) {
+      const mult = unique.slice(i, j + 1).reduce((m, r) => m * byRank[r], 1);
+      if (runLen > bestLen) { bestLen = runLen; total = runLen * mult; }
+      else if (runLen === bestLen) total += runLen * mult;
+    }
+    i = j + 1;
+  }
+  return total;
+}
+
+// A flush is one point a card, the starter included when it matches (three-card hands in the
+// five-card game score 3 or 4). A crib needs the starter too unless cribFourFlush is on.
+export function flushPoints(hand, starter, isCrib, rules = DEFAULT_RULES) {
+  const suits = hand.map(c=>c.s);
+  const allSame = suits.every(s => s === suits[0]);
+  if (!allSame) return 0;
+  if (starter && starter.s === suits[0]) return hand.length + 1;
+  return isCrib && !rules.cribFourFlush ? 0 : hand.length;
+}
+
+export function knobsPoints(hand, starter) {
+  if (!starter) return 0;
+  return hand.some(c => c.r === 11 && c.s === starter.s) ? 1 : 0;
+}
+
+// House rule: bonus for each distinct 7-9-8 triple in the five cards
+export function hull798Bonus(allFive, rules = DEFAULT_RULES){
+  if (!rules.house798) return 0;
+  const cnt = {7:0,8:0,9:0};
+  for (const c of allFive) if (cnt.hasOwnProperty(c.r)) cnt[c.r]++;
+  return rules.house798Points * (cnt[7] * cnt[8] * cnt[9]);
+}
+
+export function handPoints(hand4, starter, isCrib, rules = DEFAULT_RULES) {
+  const all = hand4.concat([starter]);
+  const pts = count15(all) + countPairs(all) + countRuns(all) + flushPoints(hand4, starter, isCrib, rules) + knobsPoints(hand4, starter) + hull798Bonus(all, rules);
+  return pts || rules.nineteenPoints;
+}
+
+/** ---------------------- Show Breakdown ---------------------- */
+// Itemized version of handPoints: every scoring combination with its cards, so totals can be checked by eye.
+export function handBreakdown(hand4, starter, isCrib, rules = DEFAULT_RULES) {
+  const all = hand4.concat([starter]);
+  const items = [];
+
+  for (const subset of combos(all)) {
+    if (subset.reduce((a, c) => a + cardValue15(c.r), 0) === 15) items.push({ kind: "fifteen", label: "Fifteen", cards: subset, points: 2 });
+  }
+
+  for (let i = 0; i < all.length; i++) for (let j = i + 1; j < all.length; j++) {
+    if (all[i].r === all[j].r) items.push({ kind: "pair", label: "Pair", cards: [all[i], all[j]], points: 2 });
+  }
+
+  // Same segment walk as countRuns: longest run(s) only, multiplied by duplicate ranks.
+  const byRank = {};
+  for (const c of all) (byRank[c.r] = byRank[c.r] || []).push(c);
+  const unique = Object.keys(byRank).map(Number).sort((a,b)=>a-b);
+  let runs = [], bestLen = 0, i = 0;
+  while (i < unique.length) {
+    let j = i;
+    while (j + 1 < unique.length && unique[j + 1] === unique[j] + 1) j++;
+    const runLen = j - i + 1;
+    if (runLen >= 3) {
+      const ranks = unique.slice(i, j + 1);
+      const mult = ranks.reduce((m, r) => m * byRank[r].length, 1);
+      const run = { kind: "run", label: mult > 1 ? `Run of ${runLen} ×${mult}` : `Run of ${runLen}`, cards: ranks.flatMap(r => byRank[r]), points: runLen * mult };
+      if (runLen > bestLen) { bestLen = runLen; runs = [run]; }
+      else if (runLen === bestLen) runs.push(run);
+    }
+    i = j + 1;
+  }
+  items.push(...runs);
+
+  const flush = flushPoints(hand4, starter, isCrib, rules);
+  if (flush) items.push({ kind: "flush", label: `Flush of ${flush}`, cards: flush > hand4.length ? all : hand4, points: flush });
+
+  const nobs = hand4.find(c => c.r === 11 && c.s === starter.s);
+  if (nobs) items.push({ kind: "nobs", label: "His nobs", cards: [nobs, starter], points: 1 });
+
+  if (rules.house798) {
+    const sevens = all.filter(c => c.r === 7), eights = all.filter(c => c.r === 8), nines = all.filter(c => c.r === 9);
+    for (const a of sevens) for (const b of nines) for (const c of eights) items.push({ kind: "798", label: "7-9-8 bonus", cards: [a, b, c], points: rules.house798Points });
+  }
+
+  if (items.length === 0 && rules.nineteenPoints) items.push({ kind: "nineteen", label: "Nineteen", cards: [], points: rules.nineteenPoints });
+
+  return { cards: hand4, starter, isCrib, items, total: items.reduce((a, it) => a + it.points, 0) };
+}
+
+/** ---------------------- Pegging Logic ---------------------- */
+export function legalPlays(hand, total) {
+  return hand.filter(c => total + cardValue15(c.r) <= 31);
+}
+
+export function isPairRunPoints(stack, nextCard) {
+  const seq = stack.concat([nextCard]);
+  let pts = 0;
+
+  // Pairs/trips/quads at end
+  let k = seq.length - 1, same = 1;
+  while (k - 1 >= 0 && seq[k - 1].r === seq[k].r) { same++; k--; }
+  if (same === 2) pts += 2; else if (same === 3) pts += 6; else if (same === 4) pts += 12;
+
+  // Runs: check longest tail length 3..N (any order in tail)
+  for (let l = Math.min(7, seq.length); l >= 3; l--) {
+    const tail = seq.slice(seq.length - l);
+    const ranks = tail.map(c=>c.r).sort((a,b)=>a-b);
+    let run = true;
+    for (let i=1;i<ranks.length;i++) if (ranks[i] !== ranks[i-1] + 1) { run = false; break; }
+    if (run) { pts += l; break; }
+  }
+  return pts;
+}
+
+// 15s, 31s, pairs and runs for playing card onto the current count.
+export function playPoints(stack, total, card) {
+  const t2 = total + cardValue15(card.r);
+  return (t2 === 15 ? 2 : 0) + (t2 === 31 ? 2 : 0) + isPairRunPoints(stack, card);
+}
+
+export function applyPlay(state, card, who) {
+  const newTotal = state.total + cardValue15(card.r);
+  const points15or31 = (newTotal === 15 ? 2 : 0) + (newTotal === 31 ? 2 : 0);
+  const pairRun = isPairRunPoints(state.stack, card);
+  const points = points15or31 + pairRun;
+  const thirtyOne = newTotal === 31;
+  return {
+    ...state,
+    stack: state.stack.concat([card]),
+    total: newTotal,
+    pHand: who === "P" ? state.pHand.filter(c=>c!==card) : state.pHand,
+    aiHand: who === "AI" ? state.aiHand.filter(c=>c!==card) : state.aiHand,
+    next: who === "P" ? "AI" : "P",
+    pPassed: false,
+    aiPassed: false,
+    points,
+    thirtyOne,
+  };
+}
+
+/** ---------------------- AI (Optimal given seen info) ---------------------- */
+export function cardsEqual(a,b){ return a.r===b.r && a.s===b.s; }
+export function minus(set, rem){ return set.filter(c => !rem.some(r => cardsEqual(r, c))); }
+
+// Every two-card toss from a dealt hand: 15 from six cards, 10 from five (the five-card game).
+function tossChoices(hand) {
+  const choices = [];
+  for (let i=0;i<hand.length;i++) for (let j=i+1;j<hand.length;j++) choices.push([hand[i], hand[j]]);
+  return choices;
+}
+
+// All keep/toss splits of a dealt hand with Monte Carlo hand and crib expectations.
+// Net value of a toss: the crib counts for the dealer and against the pone, weighted by personality.
+// An objective (lib/position.js) replaces this with the average of objective(handPts, cribPts).
+const discardNet = (handEV, cribEV, isDealer, style) => handEV + (isDealer ? cribEV * style.cribFor : -cribEV * style.cribAgainst);
+
+export function evaluateDiscards(hand6, seen, isDealer, sims, rng, rules = DEFAULT_RULES, style = DEFAULT_PERSONALITY, objective = null) {
+  const all6 = hand6.slice();
+  const choices = tossChoices(all6);
+  const deck = minus(makeDeck(), seen.concat(all6));
+
+  return choices.map(toss => {
+    const keep = minus(all6, toss);
+    let handSum = 0, cribSum = 0, objSum = 0;
+    for (let s=0; s<sims; s++) {
+      const d = shuffle(deck, rng);
+      const starter = d[0];
+      const hand = handPoints(keep, starter, false, rules);
+      const oppTwo = [d[1], d[2]];
+      const cribCards = isDealer ? toss.concat(oppTwo) : oppTwo.concat(toss);
+      const crib = handPoints(cribCards.slice(0,4), starter, true, rules);
+      handSum += hand; cribSum += crib;
+      if (objective) objSum += objective(hand, crib);
+    }
+    const handEV = handSum / sims, cribEV = cribSum / sims;
+    return { keep, toss, handEV, cribEV, net: objective ? objSum / sims : discardNet(handEV, cribEV, isDealer, style) };
+  });
+}
+
+// Average crib points for a two-card toss, indexed [rank-1][rank-1]. Exact over every starter and
+// every random opponent toss from the other 50 cards, suits weighted, standard scoring. The house
+// rules (7-9-8, four-card crib flush, nineteen) are added on top by cribTossValue. All three toss
+// tables come from scripts/cribtables.mjs (npm run cribtables), which also checks them.
+export const CRIB_TOSS_AVG = [
+  [5.53, 4.45, 4.57, 5.47, 5.74, 4.26, 4.09, 4.13, 4.04, 3.96, 4.20, 3.86, 3.75],
+  [4.45, 5.83, 6.84, 4.85, 5.77, 4.37, 4.29, 4.24, 4.14, 4.08, 4.31, 3.97, 3.86],
+  [4.57, 6.84, 6.16, 5.50, 6.43, 4.28, 4.36, 4.29, 4.12, 4.15, 4.38, 4.05, 3.94],
+  [5.47, 4.85, 5.50, 6.14, 7.00, 4.97, 4.18, 4.31, 4.21, 4.15, 4.38, 4.04, 3.94],
+  [5.74, 5.77, 6.43, 7.00, 8.99, 7.10, 6.42, 5.76, 5.74, 7.03, 7.26, 6.93, 6.82],
+  [4.26, 4.37, 4.28, 4.97, 7.10, 6.29, 5.54, 4.91, 5.58, 3.84, 4.08, 3.74, 3.63],
+  [4.09, 4.29, 4.36, 4.18, 6.42, 5.54, 6.11, 6.77, 4.36, 3.73, 4.02, 3.69, 3.58],
+  [4.13, 4.24, 4.29, 4.31, 5.76, 4.91, 6.77, 5.63, 4.94, 4.31, 3.95, 3.67, 3.56],
+  [4.04, 4.14, 4.12, 4.21, 5.74, 5.58, 4.36, 4.94, 5.53, 4.85, 4.49, 3.56, 3.51],
+  [3.96, 4.08, 4.15, 4.15, 7.03, 3.84, 3.73, 4.31, 4.85, 5.46, 5.05, 4.12, 3.42],
+  [4.20, 4.31, 4.38, 4.38, 7.26, 4.08, 4.02, 3.95, 4.49, 5.05, 5.93, 5.01, 4.31],
+  [3.86, 3.97, 4.05, 4.04, 6.93, 3.74, 3.69, 3.67, 3.56, 4.12, 5.01, 5.25, 3.97],
+  [3.75, 3.86, 3.94, 3.94, 6.82, 3.63, 3.58, 3.56, 3.51, 3.42, 4.31, 3.97, 5.03],
+];
+
+// Chance that a crib holding the toss scores nothing, under standard scoring; same enumeration
+// and indexing as CRIB_TOSS_AVG. A 7-9-8 triple always holds a fifteen, so that rule doesn't move it.
+export const CRIB_TOSS_ZERO = [
+  [0.0000, 0.0966, 0.1091, 0.0000, 0.0000, 0.0722, 0.1123, 0.0689, 0.1009, 0.1269, 0.0955, 0.1340, 0.1476],
+  [0.0966, 0.0000, 0.0000, 0.0722, 0.0000, 0.0722, 0.0695, 0.0901, 0.0640, 0.1172, 0.0857, 0.1182, 0.1318],
+  [0.1091, 0.0000, 0.0000, 0.0819, 0.0000, 0.1026, 0.1248, 0.0597, 0.0917, 0.1302, 0.0955, 0.1340, 0.1476],
+  [0.0000, 0.0722, 0.0819, 0.0000, 0.0000, 0.1026, 0.0998, 0.0629, 0.0548, 0.1204, 0.0857, 0.1182, 0.1318],
+  [0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000],
+  [0.0722, 0.0722, 0.1026, 0.1026, 0.0000, 0.0000, 0.0846, 0.0722, 0.0000, 0.1378, 0.0955, 0.1215, 0.1378],
+  [0.1123, 0.0695, 0.1248, 0.0998, 0.0000, 0.0846, 0.0000, 0.0000, 0.1014, 0.1399, 0.0955, 0.1372, 0.1508],
+  [0.0689, 0.0901, 0.0597, 0.0629, 0.0000, 0.0722, 0.0000, 0.0000, 0.0532, 0.0884, 0.0833, 0.1052, 0.1188],
+  [0.1009, 0.0640, 0.0917, 0.0548, 0.0000, 0.0000, 0.1014, 0.0532, 0.0000, 0.0716, 0.0661, 0.1210, 0.1210],
+  [0.1269, 0.1172, 0.1302, 0.1204, 0.0000, 0.1378, 0.1399, 0.0884, 0.0716, 0.0000, 0.0857, 0.1529, 0.2018],
+  [0.0955, 0.0857, 0.0955, 0.0857, 0.0000, 0.0955, 0.0955, 0.0833, 0.0661, 0.0857, 0.0000, 0.0686, 0.1127],
+  [0.1340, 0.1182, 0.1340, 0.1182, 0.0000, 0.1215, 0.1372, 0.1052, 0.1210, 0.1529, 0.0686, 0.0000, 0.1659],
+  [0.1476, 0.1318, 0.1476, 0.1318, 0.0000, 0.1378, 0.1508, 0.1188, 0.1210, 0.2018, 0.1127, 0.1659, 0.0000],
+];
+
+// For a suited toss: the chance that the crib scores nothing but a four-card flush (no starter
+// match), which the four-card crib flush rule turns from a nineteen into 4 points.
+export const CRIB_TOSS_FLUSH_ONLY = [
+  [0.0000, 0.0049, 0.0055, 0.0000, 0.0000, 0.0037, 0.0057, 0.0035, 0.0051, 0.0063, 0.0060, 0.0066, 0.0073],
+  [0.0049, 0.0000, 0.0000, 0.0037, 0.0000, 0.0037, 0.0035, 0.0046, 0.0032, 0.0058, 0.0054, 0.0058, 0.0066],
+  [0.0055, 0.0000, 0.0000, 0.0041, 0.0000, 0.0052, 0.0063, 0.0031, 0.0046, 0.0064, 0.0060, 0.0066, 0.0073],
+  [0.0000, 0.0037, 0.0041, 0.0000, 0.0000, 0.0052, 0.0051, 0.0032, 0.0028, 0.0060, 0.0054, 0.0058, 0.0066],
+  [0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000, 0.0000],
+  [0.0037, 0.0037, 0.0052, 0.0052, 0.0000, 0.0000, 0.0043, 0.0037, 0.0000, 0.0069, 0.0060, 0.0060, 0.0069],
+  [0.0057, 0.0035, 0.0063, 0.0051, 0.0000, 0.0043, 0.0000, 0.0000, 0.0051, 0.0069, 0.0060, 0.0067, 0.0075],
+  [0.0035, 0.0046, 0.0031, 0.0032, 0.0000, 0.0037, 0.0000, 0.0000, 0.0028, 0.0044, 0.0052, 0.0052, 0.0060],
+  [0.0051, 0.0032, 0.0046, 0.0028, 0.0000, 0.0000, 0.0051, 0.0028, 0.0000, 0.0034, 0.0041, 0.0060, 0.0060],
+  [0.0063, 0.0058, 0.0064, 0.0060, 0.0000, 0.0069, 0.0069, 0.0044, 0.0034, 0.0000, 0.0054, 0.0072, 0.0099],
+  [0.0060, 0.0054, 0.0060, 0.0054, 0.0000, 0.0060, 0.0060, 0.0052, 0.0041, 0.0054, 0.0000, 0.0043, 0.0070],
+  [0.0066, 0.0058, 0.0066, 0.0058, 0.0000, 0.0060, 0.0067, 0.0052, 0.0060, 0.0072, 0.0043, 0.0000, 0.0078],
+  [0.0073, 0.0066, 0.0073, 0.0066, 0.0000, 0.0069, 0.0075, 0.0060, 0.0060, 0.0099, 0.0070, 0.0078, 0.0000],
+];
+
+// Expected 7-9-8 bonus in a crib holding the tossed cards plus three of the 50 unseen.
+function expectedHouse798(toss, rules) {
+  if (!rules.house798) return 0;
+  const have = {7:0,8:0,9:0};
+  for (const c of toss) if (have.hasOwnProperty(c.r)) have[c.r]++;
+  const pool = { 7: 4 - have[7], 8: 4 - have[8], 9: 4 - have[9] };
+  const other = 50 - pool[7] - pool[8] - pool[9];
+  const choose = (n, k) => (k < 0 || k > n) ? 0 : (k === 0 ? 1 : (n * choose(n - 1, k - 1)) / k);
+  let ev = 0;
+  for (let x7=0;x7<=3;x7++) for (let x8=0;x8+x7<=3;x8++) for (let x9=0;x9+x8+x7<=3;x9++) {
+    const p = choose(pool[7],x7) * choose(pool[8],x8) * choose(pool[9],x9) * choose(other, 3-x7-x8-x9) / choose(50, 3);
+    ev += p * rules.house798Points * (have[7]+x7) * (have[8]+x8) * (have[9]+x9);
+  }
+  return ev;
+}
+
+// Expected four-card crib flush that standard scoring misses: a suited toss, both opponent cards of
+// that suit (11 left among the 50) and a starter of another suit.
+function expectedCribFourFlush(toss, rules) {
+  if (!rules.cribFourFlush || toss[0].s !== toss[1].s) return 0;
+  return 4 * (11 * 10) / (50 * 49) * (39 / 48);
+}
+
+// Nineteen pays for a crib that would score nothing, less the ones the four-card flush now scores.
+function expectedNineteen(toss, rules) {
+  if (!rules.nineteenPoints) return 0;
+  const [i, j] = [toss[0].r - 1, toss[1].r - 1];
+  const flushOnly = rules.cribFourFlush && toss[0].s === toss[1].s ? CRIB_TOSS_FLUSH_ONLY[i][j] : 0;
+  return rules.nineteenPoints * (CRIB_TOSS_ZERO[i][j] - flushOnly);
+}
+
+export function cribTossValue(toss, rules = DEFAULT_RULES) {
+  return CRIB_TOSS_AVG[toss[0].r - 1][toss[1].r - 1] + expectedHouse798(toss, rules) + expectedCribFourFlush(toss, rules) + expectedNineteen(toss, rules);
+}
+
+// Deterministic counterpart of evaluateDiscards: the kept hand is scored against every possible
+// starter, the crib side comes from the precomputed toss table.
+export function evaluateDiscardsExact(hand6, seen, isDealer, rules = DEFAULT_RULES, style = DEFAULT_PERSONALITY, objective = null) {
+  const all6 = hand6.slice();
+  const choices = tossChoices(all6);
+  const starters = minus(makeDeck(), seen.concat(all6));
+
+  return choices.map(toss => {
+    const keep = minus(all6, toss);
+    const cribEV = cribTossValue(toss, rules);
+    let handSum = 0, objSum = 0;
+    for (const st of starters) {
+      const hand = handPoints(keep, st, false, rules);
+      handSum += hand;
+      if (objective) objSum += objective(hand, cribEV);
+    }
+    const handEV = handSum / starters.length;
+    return { keep, toss, handEV, cribEV, net: objective ? objSum / starters.length : discardNet(handEV, cribEV, isDealer, style) };
+  });
+}
+
+// Beginner's discard: keep the cards that count best on their own, no starter, no thought for the crib.
+export function evaluateDiscardsNaive(hand6) {
+  return tossChoices(hand6).map(toss => {
+    const keep = minus(hand6, toss);
+    const handEV = count15(keep) + countPairs(keep) + countRuns(keep);
+    return { keep, toss, handEV, cribEV: 0, net: handEV };
+  });
+}
+
+export function chooseDiscardsAI(aiHand6, seen, isDealer, sims, rng, mode = "mc", rules = DEFAULT_RULES, style = DEFAULT_PERSONALITY, objective = null) {
+  let bestScore = -1e9, best = { keep: aiHand6.slice(0, -2), toCrib: aiHand6.slice(-2) };
+  const rows = mode === "naive" ? evaluateDiscardsNaive(aiHand6)
+    : (mode === "exact" ? evaluateDiscardsExact(aiHand6, seen, isDealer, rules, style, objective) : evaluateDiscards(aiHand6, seen, isDealer, sims, rng, rules, style, objective));
+  for (const row of rows) {
+    if (row.net > bestScore) { bestScore = row.net; best = { keep: row.keep, toCrib: row.toss }; }
+  }
+  return best;
+}
+
+// Rollout value of each legal play for the side holding state.aiHand (the other side is state.pHand,
+// of which only the count is used). Reviewing P's play passes P's view with the hands swapped.
+// style.pegDefense weights the points the opponent pegs back; an objective (lib/position.js) scores
+// each rollout from (own points, opponent's points) instead. Each row carries the standard error
+// (se) of its expected value.
+export function evaluatePegPlays(state, sims, rng, style = DEFAULT_PERSONALITY, objective = null) {
+  const legal = legalPlays(state.aiHand, state.total);
+
+  const seenNow = state.seen.concat(state.stack);
+  const maskedUnseen = minus(makeDeck(), seenNow.concat(state.aiHand));
+
+  function rollout(play) {
+    let totalScore = 0, totalSquares = 0;
+    for (let s=0; s<sims; s++) {
+      const d = shuffle(maskedUnseen, rng);
+      const oppCount = state.pHand.length;
+      const oppSample = d.slice(0, oppCount);
+
+      let turn = "P"; // after AI plays
+      let total = state.total + cardValue15(play.r);
+      let stack = state.stack.concat([play]);
+      let aiRem = state.aiHand.filter(c=>c!==play);
+      let pOptions = oppSample.slice();
+      let aiPts = playPoints(state.stack, state.total, play), oppPts = 0;
+      const score = () => (objective ? objective(aiPts, oppPts) : aiPts - oppPts * style.pegDefense);
+      let pPassed = false, aiPassed = false;
+      let lastMover = "AI";
+
+      if (total === 31) { aiPts += 1; const v = score(); totalScore += v; totalSquares += v * v; continue; }
+
+      while (true) {
+        if (turn === "P") {
+          const pLegal = pOptions.filter(c => total + cardValue15(c.r) <= 31);
+          if (pLegal.length === 0) {
+            if (aiPassed) { if (lastMover === "AI") aiPts += 1; break; }
+            pPassed = true; turn = "AI"; continue;
+          } else {
+            pPassed = false;
+            // opponent chooses max immediate points
+            let best = null, bestPts = -1;
+            for (const c of pLegal) {
+              const pts = playPoints(stack, total, c);
+              if (pts > bestPts) { bestPts = pts; best = c; }
+            }
+            const playC = best;
+            total += cardValue15(playC.r);
+            oppPts += bestPts;
+            stack = stack.concat([playC]);
+            pOptions = pOptions.filter(c=>c!==playC);
+            lastMover = "P";
+            if (total === 31) { break; }
+            turn = "AI";
+          }
+        } else {
+          const aiLegal = aiRem.filter(c => total + cardValue15(c.r) <= 31);
+          if (aiLegal.length === 0) {
+            if (pPassed) { if (lastMover === "AI") aiPts += 1; break; }
+            aiPassed = true; turn = "P"; continue;
+          } else {
+            aiPassed = false;
+            let best = null, bestPts = -1, bestTotal = 0;
+            for (const c of aiLegal) {
+              const t2 = total + cardValue15(c.r);
+              const pts = playPoints(stack, total, c);
+              if (pts > bestPts || (pts === bestPts && t2 > bestTotal)) { bestPts = pts; best = c; bestTotal = t2; }
+            }
+            const play2 = best;
+            total += cardValue15(play2.r);
+            aiPts += bestPts;
+            stack = stack.concat([play2]);
+            aiRem = aiRem.filter(c=>c!==play2);
+            lastMover = "AI";
+            if (total === 31) { break; }
+            turn = "P";
+          }
+        }
+      }
+      const v = score();
+      totalScore += v; totalSquares += v * v;
+    }
+    const expected = totalScore / sims;
+    const variance = sims > 1 ? Math.max(0, (totalSquares - sims * expected * expected) / (sims - 1)) : 0;
+    return { expected, se: Math.sqrt(variance / sims) };
+  }
+
+  return legal.map(card => ({ card, ...rollout(card) }));
+}
+
+// mode: "rollout" (evaluatePegPlays), "greedy" (most points this play) or "random" (any legal card).
+export function aiPeggingMove(state, sims, rng, mode = "rollout", style = DEFAULT_PERSONALITY, objective = null) {
+  const legal = legalPlays(state.aiHand, state.total);
+  if (mode === "random") return legal.length ? { card: legal[Math.floor(rng() * legal.length)], expected: 0 } : { card: null, expected: 0 };
+  const rows = mode === "greedy"
+    ? legal.map(card => ({ card, expected: playPoints(state.stack, state.total, card) }))
+    : evaluatePegPlays(state, sims, rng, style, objective);
+  let best = null, bestEV = -1e9;
+  for (const row of rows) {
+    if (row.expected > bestEV) { bestEV = row.expected; best = row.card; }
+  }
+  return best ? { card: best, expected: bestEV } : { card: null, expected: 0 };
+}
@@ -0,0 +1,263 @@
+/** ---------------------- Game State Machine ---------------------- */
+// The rules engine as a pure reducer: gameReducer(state, action) -> state. All randomness comes
+// from state.rngState, so replay(seed, actions) rebuilds a game exactly. Actions:
+//   { type: "deal", redeal? }               shuffle and deal (rotates the dealer after a show;
+//                                           redeal throws in the current hand, same dealer)
+//   { type: "discard", who, cards }         two cards to the crib
+//   { type: "cut", at? }                    pone cuts at cards off the top; the next card is the
+//                                           starter (without at, the top card: older records)
+//   { type: "play", who, card, claim? }     peg a card (claim: count-your-own mode)
+//   { type: "go", who }                     who has no legal play
+//   { type: "show", claims? }               count pone, dealer and crib ({ hand, crib } claims for P)
+//   { type: "options", countOwn }           table options
+// In a hot-seat game (options.hotseat) both seats are human: the log names them Player 1 and
+// Player 2 and never shows a discard, and count-your-own is off (muggins needs the AI to call it).
+// rules.fiveCard plays the five-card game: five cards dealt, one pass of pegging (a 31 or a go
+// ends it, with cards left unplayed), and three for last to the pone of the first deal.
+import {
+  makeDeck, shuffle, seededRng, cardToString, cardValue15, cardsEqual, handBreakdown, legalPlays, applyPlay,
+} from "./cribbage.js";
+import { DEFAULT_RULES } from "./rules.js";
+
+export const other = (who) => (who === "P" ? "AI" : "P");
+const handKey = (who) => (who === "P" ? "pHand" : "aiHand");
+const passKey = (who) => (who === "P" ? "pPassed" : "aiPassed");
+export const seatName = (state, who) => (state.options.hotseat ? (who === "P" ? "Player 1" : "Player 2") : who);
+
+// The pegging as one seat sees it, in the shape aiPeggingMove expects: that seat's cards in the
+// "aiHand" slot, the other hand only for its count, and what that seat has seen.
+export function pegView(state, who) {
+  const peg = state.peg;
+  return {
+    stack: peg.stack, total: peg.total, aiHand: peg[handKey(who)], pHand: peg[handKey(other(who))],
+    seen: state.tossed[who].concat([state.starter]),
+  };
+}
+
+// Normal win, skunk or double skunk, with the game points each is worth in match play.
+export function classifyResult(scores, winner, rules = DEFAULT_RULES) {
+  const loserScore = scores[other(winner)];
+  const kind = loserScore < rules.doubleSkunkLine ? "double" : (loserScore < rules.skunkLine ? "skunk" : "win");
+  return { winner, loserScore, kind, gamePoints: kind === "double" ? 3 : (kind === "skunk" ? 2 : 1) };
+}
+
+// Cut for deal: each side cuts a card from a freshly shuffled pack and the low card deals (ace
+// low, suits don't count); a tie is cut again. dealCuts lists every round as { P, AI }.
+export function cutForDeal(rng) {
+  const dealCuts = [];
+  for (;;) {
+    const d = shuffle(makeDeck(), rng);
+    const cuts = { P: d[Math.floor(rng() * d.length)], AI: null };
+    const rest = d.filter(c => !cardsEqual(c, cuts.P));
+    cuts.AI = rest[Math.floor(rng() * rest.length)];
+    dealCuts.push(cuts);
+    if (cuts.P.r !== cuts.AI.r) return { dealCuts, dealer: cuts.P.r < cuts.AI.r ? "P" : "AI" };
+  }
+}
+
+// dealer fixes the first dealer (match play alternates it); otherwise the sides cut for deal. The
+// cut has its own rng, seeded from the game's first draw, so every seed deals the same hands as it
+// did when a coin toss picked the dealer.
+export function initGame(seed, { countOwn = false, dealer: firstDealer, rules = DEFAULT_RULES, hotseat = false } = {}) {
+  const rng = seededRng(seed);
+  const options = { countOwn: countOwn && !hotseat, hotseat };
+  const cutSeed = Math.floor(rng() * 4294967296);
+  const { dealCuts, dealer } = firstDealer ? { dealCuts: null, dealer: firstDealer } : cutForDeal(seededRng(cutSeed));
+  let s = {
+    seed, rngState: rng.state(), dealer, phase: "deal",
+    deck: [], pHand: [], aiHand: [], crib: [], tossed: { P: null, AI: null }, starter: null, peg: null,
+    scores: { P: 0, AI: 0 }, prevScores: { P: 0, AI: 0 }, dealPoints: { P: {}, AI: {} }, gameOver: false, winner: null, result: null, firstDealer: dealer,
+    dealCuts, showResult: null, log: [], options, startOptions: options, rules,
+  };
+  for (const [i, cuts] of (dealCuts || []).entries()) {
+    s = logLine(s, `Cut for deal: ${seatName(s, "P")} ${cardToString(cuts.P)}, ${seatName(s, "AI")} ${cardToString(cuts.AI)}${i < dealCuts.length - 1 ? " — a tie, cut again." : "."}`);
+  }
+  return dealCuts ? logLine(s, `${seatName(s, dealer)} cuts low and deals first.`) : s;
+}
+
+function logLine(state, line) { return { ...state, log: [line, ...state.log].slice(0, 300) }; }
+
+// Every point goes through here in the order it is counted, so the first side to reach the finish
+// wins and nothing after it (the rest of the pegging, the other hands, the crib) is scored.
+// category ("last", "heels", "peg", "hand", "crib", "muggins") feeds the per-deal tally in dealPoints.
+function addScore(state, who, delta, category) {
+  if (delta <= 0 || state.gameOver) return state;
+  const target = state.rules.targetScore;
+  const nextVal = Math.min(target, state.scores[who] + delta);
+  const mine = state.dealPoints[who];
+  const next = {
+    ...state,
+    scores: { ...state.scores, [who]: nextVal },
+    prevScores: { ...state.prevScores, [who]: state.scores[who] },
+    dealPoints: { ...state.dealPoints, [who]: { ...mine, [category]: (mine[category] || 0) + nextVal - state.scores[who] } },
+  };
+  if (nextVal < target) return next;
+  const result = classifyResult(next.scores, who, state.rules);
+  const s = logLine({ ...next, gameOver: true, winner: who, result }, `${seatName(state, who)} pegs out at ${target}.`);
+  if (result.kind === "win") return s;
+  return logLine(s, `${seatName(state, other(who))} is ${result.kind === "double" ? "double skunked" : "skunked"} at ${result.loserScore}.`);
+}
+
+// Muggins: an under-count hands the missed points to the AI; an over-count is rejected outright.
+function settleClaim(state, what, claimed, actual, category) {
+  if (claimed > actual) return logLine(state, `P claims ${claimed} for ${what} — only ${actual} there, claim rejected.`);
+  let s = logLine(addScore(state, "P", claimed, category), `P claims ${claimed} for ${what}.`);
+  if (claimed < actual) s = logLine(addScore(s, "AI", actual - claimed, "muggins"), `AI calls muggins on ${what}: takes the missed ${actual - claimed}.`);
+  return s;
+}
+
+function deal(state, { redeal = false }) {
+  const handDone = state.phase === "show" && state.showResult;
+  if (state.gameOver || !(redeal || handDone || state.phase === "deal")) return state;
+  const dealer = handDone ? other(state.dealer) : state.dealer;
+  const rng = seededRng(state.rngState);
+  const d = shuffle(makeDeck(), rng);
+  const p = [], a = [];
+  for (let i=0;i<(state.rules.fiveCard ? 5 : 6);i++) { a.push(d.pop()); p.push(d.pop()); }
+  const s = logLine({
+    ...state, rngState: rng.state(), dealer, phase: "discard",
+    deck: d, pHand: p, aiHand: a, crib: [], tossed: { P: null, AI: null }, starter: null, peg: null, showResult: null,
+    dealPoints: { P: {}, AI: {} },
+  }, `Dealt hands. ${seatName(state, dealer)} is dealer.`);
+  // Five-card game: the first pone takes three for last, against the dealer's crib.
+  if (!state.rules.fiveCard || state.phase !== "deal") return s;
+  return logLine(addScore(s, other(dealer), 3, "last"), `${seatName(s, other(dealer))} takes three for last.`);
+}
+
+function discard(state, { who, cards }) {
+  if (state.phase !== "discard" || state.tossed[who] || !cards || cards.length !== 2) return state;
+  const hand = state[handKey(who)];
+  const toss = cards.map(c => hand.find(h => cardsEqual(h, c)));
+  if (!toss[0] || !toss[1] || toss[0] === toss[1]) return state;
+  let s = {
+    ...state,
+    [handKey(who)]: hand.filter(c => !toss.includes(c)),
+    crib: state.crib.concat(toss),
+    tossed: { ...state.tossed, [who]: toss },
+  };
+  if (who === "AI" && !state.options.hotseat) s = logLine(s, `AI discards ${toss.map(cardToString).join(" ")}`);
+  return s.tossed.P && s.tossed.AI ? { ...s, phase: "cut" } : s;
+}
+
+// The pone lifts at cards off the top (the end of deck) and turns the next one. At least
+// CUT_MIN cards stay in each packet.
+export const CUT_MIN = 4;
+export const cutRange = (state) => ({ min: CUT_MIN, max: state.deck.length - CUT_MIN });
+
+function cut(state, { at } = {}) {
+  if (state.phase !== "cut") return state;
+  const { min, max } = cutRange(state);
+  if (at != null && !(Number.isInteger(at) && at >= min && at <= max)) return state;
+  const d = state.deck.slice();
+  const starter = at == null ? d.pop() : d.splice(d.length - 1 - at, 1)[0];
+  let s = { ...state, deck: d, starter };
+  if (at != null) s = logLine(s, `${seatName(s, other(s.dealer))} cuts ${at} cards: starter ${cardToString(starter)}.`);
+  if (starter.r === 11) s = logLine(addScore(s, s.dealer, 2, "heels"), `${seatName(s, s.dealer)} scores 2 for his heels (Jack cut).`);
+  const peg = {
+    stack: [], total: 0, pHand: s.pHand, aiHand: s.aiHand, seen: s.tossed.AI.concat([starter]), starter,
+    next: other(s.dealer), pPassed: false, aiPassed: false, lastPlayer: null,
+  };
+  return { ...s, peg, phase: "pegging" };
+}
+
+// Resolve everything that follows a play or a Go without a decision: an empty hand passes,
+// two passes score the go and reset the count, two empty hands end the pegging. The five-card
+// game pegs once through, so the go (or a 31, see play) ends it there.
+function settlePeg(state) {
+  let s = state;
+  for (;;) {
+    if (s.gameOver) return s;
+    const peg = s.peg;
+    if (peg.pHand.length === 0 && peg.aiHand.length === 0) {
+      if (peg.total > 0 && peg.total < 31) s = logLine(addScore(s, peg.lastPlayer, 1, "peg"), `${seatName(s, peg.lastPlayer)} scores 1 for last card.`);
+      return { ...s, phase: "show" };
+    }
+    if (peg.pPassed && peg.aiPassed) {
+      s = logLine(addScore(s, peg.lastPlayer, 1, "peg"), `${seatName(s, peg.lastPlayer)} scores 1 for last card (Go).`);
+      if (s.rules.fiveCard) return { ...s, phase: "show" };
+      s = { ...s, peg: { ...peg, stack: [], total: 0, pPassed: false, aiPassed: false, next: other(peg.lastPlayer) } };
+      continue;
+    }
+    if (peg[handKey(peg.next)].length === 0) {
+      s = { ...s, peg: { ...peg, [passKey(peg.next)]: true, next: other(peg.next) } };
+      continue;
+    }
+    return s;
+  }
+}
+
+function play(state, { who, card, claim = 0 }) {
+  const peg = state.peg;
+  if (state.phase !== "pegging" || state.gameOver || peg.next !== who) return state;
+  const own = peg[handKey(who)].find(c => cardsEqual(c, card));
+  if (!own || peg.total + cardValue15(own.r) > 31) return state;
+  const s1 = applyPlay(peg, own, who);
+  // Whoever has said Go stays out until the count resets.
+  const otherPassed = peg[passKey(other(who))];
+  let s = {
+    ...state,
+    peg: { ...s1, pPassed: peg.pPassed, aiPassed: peg.aiPassed, next: otherPassed ? who : other(who), lastPlayer: who },
+  };
+  const line = `${seatName(state, who)} plays ${cardToString(own)}`;
+  if (state.options.countOwn && who === "P") {
+    s = logLine(s, `${line} (total ${s1.total}).`);
+    if (claim > 0 || s1.points > 0) s = settleClaim(s, `playing ${cardToString(own)}`, claim, s1.points, "peg");
+  } else if (s1.points) {
+    s = logLine(addScore(s, who, s1.points, "peg"), `${line} for +${s1.points} (total ${s1.total}).`);
+  } else {
+    s = logLine(s, `${line} (total ${s1.total}).`);
+  }
+  if (s1.thirtyOne && s.rules.fiveCard) return s.gameOver ? s : { ...s, phase: "show" };
+  if (s1.thirtyOne) s = { ...s, peg: { ...s.peg, stack: [], total: 0, pPassed: false, aiPassed: false, next: other(who) } };
+  return settlePeg(s);
+}
+
+function go(state, { who }) {
+  const peg = state.peg;
+  if (state.phase !== "pegging" || state.gameOver || peg.next !== who) return state;
+  if (legalPlays(peg[handKey(who)], peg.total).length > 0) return state;
+  const s = logLine({ ...state, peg: { ...peg, [passKey(who)]: true, next: other(who) } }, `${seatName(state, who)} says Go.`);
+  return settlePeg(s);
+}
+
+function show(state, { claims } = {}) {
+  if (state.phase !== "show" || state.showResult || state.gameOver) return state;
+  const countOwn = state.options.countOwn;
+  if (countOwn && !claims) return state;
+  const dealer = state.dealer, pone = other(dealer), st = state.starter;
+  const sections = [
+    { key: "pone", who: pone, title: `${seatName(state, pone)} hand`, ...handBreakdown(state[handKey(pone)], st, false, state.rules) },
+    { key: "dealer", who: dealer, title: `${seatName(state, dealer)} hand`, ...handBreakdown(state[handKey(dealer)], st, false, state.rules) },
+    { key: "crib", who: dealer, title: `Crib (${seatName(state, dealer)})`, ...handBreakdown(state.crib, st, true, state.rules) },
+  ];
+  let s = state;
+  for (const sec of sections) {
+    if (s.gameOver) { sec.counted = false; continue; }
+    sec.counted = true;
+    s = logLine(s, `${sec.title}: ${sec.cards.map(cardToString).join(" ")} + ${cardToString(st)}${countOwn && sec.who === "P" ? "" : ` = ${sec.total}`}`);
+    if (countOwn && sec.who === "P") {
+      const category = sec.key === "crib" ? "crib" : "hand";
+      s = settleClaim(s, category, claims[category], sec.total, category);
+    } else {
+      s = addScore(s, sec.who, sec.total, sec.key === "crib" ? "crib" : "hand");
+    }
+  }
+  return { ...s, showResult: { pone: sections[0], dealer: sections[1], crib: sections[2] } };
+}
+
+export function gameReducer(state, action) {
+  switch (action.type) {
+    case "deal": return deal(state, action);
+    case "discard": return discard(state, action);
+    case "cut": return cut(state, action);
+    case "play": return play(state, action);
+    case "go": return go(state, action);
+    case "show": return show(state, action);
+    case "options": return { ...state, options: { ...state.options, countOwn: !!action.countOwn && !state.options.hotseat } };
+    default: return state;
+  }
+}
+
+export function replay(seed, actions, opts) {
+  return actions.reduce(gameReducer, initGame(seed, opts));
+}
@@ -0,0 +1,50 @@
+/** ---------------------- Match Play ---------------------- */
+// A match is a run of games scored in game points (win 1, skunk 2, double skunk 3).
+//   bestOf:  up to `target` games, first to win a majority of them
+//   firstTo: first to `target` game points
+// The first dealer alternates from one game to the next. The match seed is the first game's seed;
+// later games derive theirs from it, so a match replays from one number. daily labels a daily deal.
+import { other } from "./gameMachine.js";
+import { deriveSeed } from "./cribbage.js";
+
+export function initMatch(format = "single", target = 1, seed = 0, daily = null) {
+  return { format, target: format === "single" ? 1 : target, seed, daily, games: [], over: false, winner: null };
+}
+
+export function nextGameSeed(match) {
+  return match.games.length ? deriveSeed(match.seed, match.games.length) : match.seed;
+}
+
+export function matchStanding(match) {
+  const standing = { P: { games: 0, points: 0 }, AI: { games: 0, points: 0 } };
+  for (const g of match.games) {
+    standing[g.winner].games += 1;
+    standing[g.winner].points += g.gamePoints;
+  }
+  return standing;
+}
+
+// seed identifies the game, so a restored page that sees the same result again doesn't count it twice.
+export function recordGame(match, result, firstDealer, seed) {
+  if (match.over || match.games.some(g => g.seed === seed)) return match;
+  const games = match.games.concat([{ ...result, firstDealer, seed }]);
+  const standing = matchStanding({ games });
+  const mine = standing[result.winner];
+  const over = match.format === "single"
+    || (match.format === "bestOf" && mine.games > match.target / 2)
+    || (match.format === "firstTo" && mine.points >= match.target);
+  return { ...match, games, over, winner: over ? result.winner : null };
+}
+
+// null for the first game, so the seed can decide who deals.
+export function nextFirstDealer(match) {
+  const last = match.games[match.games.length - 1];
+  return last ? other(last.firstDealer) : null;
+}
+
+export function describeFormat(match) {
+  if (match.daily) return `Daily deal ${match.daily}`;
+  if (match.format === "bestOf") return `Best of ${match.target}`;
+  if (match.format === "firstTo") return `First to ${match.target} points`;
+  return "Single game";
+}
@@ -0,0 +1,208 @@
+/** ---------------------- Three- and Four-Player Games ---------------------- */
+// The same pure-reducer shape as lib/gameMachine.js, for tables of more than two. Seats are
+// numbered clockwise from 0 (the local player); play and the deal pass to the left (seat + 1).
+// Scores belong to sides: every seat is its own side in the three-player game, partners sit
+// opposite each other (seats 0 & 2 against 1 & 3) in the four-player game. Actions:
+//   { type: "deal" }                  shuffle and deal 5 each (three players: 1 more to the crib)
+//   { type: "discard", who, card }    one card to the crib
+//   { type: "cut" }                   turn the starter
+//   { type: "play", who, card }       peg a card
+//   { type: "go", who }               who has no legal play
+//   { type: "show" }                  count each hand from the dealer's left, then the dealer and crib
+// The two-seat engine keeps its own state shape, which records, reviews and online rooms rely on.
+import { makeDeck, shuffle, seededRng, cardToString, cardValue15, cardsEqual, handBreakdown, handPoints, legalPlays, playPoints, cribTossValue, minus } from "./cribbage.js";
+import { DEFAULT_RULES } from "./rules.js";
+
+export const VARIANTS = {
+  three: { variant: "three", name: "Three players", seats: 3, teams: false, seatNames: ["You", "Left", "Right"], sideNames: ["You", "Left", "Right"] },
+  partners: { variant: "partners", name: "Four players, partners", seats: 4, teams: true, seatNames: ["You", "Left", "Partner", "Right"], sideNames: ["You & Partner", "Left & Right"] },
+};
+
+const HAND_SIZE = 5;
+
+export const sideOf = (state, seat) => (VARIANTS[state.variant].teams ? seat % 2 : seat);
+export const seatName = (state, seat) => VARIANTS[state.variant].seatNames[seat];
+export const sideName = (state, side) => VARIANTS[state.variant].sideNames[side];
+const nextSeat = (state, seat) => (seat + 1) % VARIANTS[state.variant].seats;
+
+export function initMultiGame(seed, { variant = "three", dealer: firstDealer, rules = DEFAULT_RULES } = {}) {
+  const v = VARIANTS[variant];
+  const rng = seededRng(seed);
+  const drawn = Math.floor(rng() * v.seats);
+  const dealer = firstDealer ?? drawn;
+  const sides = v.teams ? 2 : v.seats;
+  const perSeat = (x) => Array.from({ length: v.seats }, () => x);
+  return {
+    seed, variant, rngState: rng.state(), dealer, phase: "deal",
+    deck: [], hands: perSeat([]), crib: [], tossed: perSeat(null), starter: null, peg: null,
+    scores: Array(sides).fill(0), prevScores: Array(sides).fill(0), gameOver: false, winner: null, result: null, firstDealer: dealer,
+    showResult: null, log: [], rules,
+  };
+}
+
+function logLine(state, line) { return { ...state, log: [line, ...state.log].slice(0, 300) }; }
+
+// As in the two-seat engine, the first side to reach the finish wins and nothing after it scores.
+// Skunks only apply between two sides.
+function addScore(state, seat, delta, what) {
+  if (delta <= 0 || state.gameOver) return state;
+  const side = sideOf(state, seat), target = state.rules.targetScore;
+  const scores = state.scores.slice(), prevScores = state.prevScores.slice();
+  prevScores[side] = scores[side];
+  scores[side] = Math.min(target, scores[side] + delta);
+  let s = logLine({ ...state, scores, prevScores }, `${seatName(state, seat)} scores ${delta} for ${what}.`);
+  if (scores[side] < target) return s;
+  const loserScore = Math.max(...scores.filter((_, i) => i !== side));
+  const kind = scores.length > 2 ? "win" : (loserScore < state.rules.doubleSkunkLine ? "double" : (loserScore < state.rules.skunkLine ? "skunk" : "win"));
+  s = logLine({ ...s, gameOver: true, winner: side, result: { winner: side, loserScore, kind } }, `Game to ${sideName(state, side)} at ${target}.`);
+  return kind === "win" ? s : logLine(s, `The other side is ${kind === "double" ? "double skunked" : "skunked"} at ${loserScore}.`);
+}
+
+function deal(state) {
+  const handDone = state.phase === "show" && state.showResult;
+  if (state.gameOver || !(handDone || state.phase === "deal")) return state;
+  const dealer = handDone ? nextSeat(state, state.dealer) : state.dealer;
+  const rng = seededRng(state.rngState);
+  const d = shuffle(makeDeck(), rng);
+  const hands = state.hands.map(() => []);
+  for (let i = 0; i < HAND_SIZE; i++) {
+    for (let k = 1; k <= hands.length; k++) hands[(dealer + k) % hands.length].push(d.pop());
+  }
+  const crib = hands.length === 3 ? [d.pop()] : [];
+  return logLine({
+    ...state, rngState: rng.state(), dealer, phase: "discard",
+    deck: d, hands, crib, tossed: state.tossed.map(() => null), starter: null, peg: null, showResult: null,
+  }, `Dealt hands. ${seatName(state, dealer)} is dealer.`);
+}
+
+function discard(state, { who, card }) {
+  if (state.phase !== "discard" || state.tossed[who] || !card) return state;
+  const own = state.hands[who].find(c => cardsEqual(c, card));
+  if (!own) return state;
+  const hands = state.hands.slice(), tossed = state.tossed.slice();
+  hands[who] = hands[who].filter(c => c !== own);
+  tossed[who] = own;
+  const s = { ...state, hands, tossed, crib: state.crib.concat([own]) };
+  return tossed.every(Boolean) ? { ...s, phase: "cut" } : s;
+}
+
+function cut(state) {
+  if (state.phase !== "cut") return state;
+  const d = state.deck.slice();
+  const starter = d.pop();
+  let s = { ...state, deck: d, starter };
+  if (starter.r === 11) s = addScore(s, s.dealer, 2, "his heels (Jack cut)");
+  const peg = { stack: [], total: 0, hands: s.hands, passed: s.hands.map(() => false), next: nextSeat(s, s.dealer), lastPlayer: null };
+  return { ...s, peg, phase: "pegging" };
+}
+
+// After a play or a Go: the turn passes left to the first seat still in (not passed, cards left).
+// When nobody is in, the last player scores the go (unless the count was 31) and the count restarts
+// with the seat on their left; when every hand is empty the pegging is over.
+function settlePeg(state, from) {
+  let s = state;
+  if (s.gameOver) return s;
+  const peg = s.peg;
+  const seats = peg.hands.length;
+  if (peg.hands.every(h => h.length === 0)) {
+    if (peg.total > 0 && peg.total < 31) s = addScore(s, peg.lastPlayer, 1, "last card");
+    return { ...s, phase: "show" };
+  }
+  for (let k = 1; k <= seats; k++) {
+    const seat = (from + k) % seats;
+    if (!peg.passed[seat] && peg.hands[seat].length > 0) return { ...s, peg: { ...peg, next: seat } };
+  }
+  if (peg.total > 0 && peg.total < 31) s = addScore(s, peg.lastPlayer, 1, "the go");
+  s = { ...s, peg: { ...peg, stack: [], total: 0, passed: peg.passed.map(() => false) } };
+  for (let k = 1; k <= seats; k++) {
+    const seat = (peg.lastPlayer + k) % seats;
+    if (s.peg.hands[seat].length > 0) return { ...s, peg: { ...s.peg, next: seat } };
+  }
+  return s;
+}
+
+function play(state, { who, card }) {
+  const peg = state.peg;
+  if (state.phase !== "pegging" || state.gameOver || peg.next !== who) return state;
+  const own = peg.hands[who].find(c => cardsEqual(c, card));
+  if (!own || peg.total + cardValue15(own.r) > 31) return state;
+  const points = playPoints(peg.stack, peg.total, own);
+  const total = peg.total + cardValue15(own.r);
+  const hands = peg.hands.slice();
+  hands[who] = hands[who].filter(c => c !== own);
+  let s = logLine({ ...state, peg: { ...peg, stack: peg.stack.concat([own]), total, hands, lastPlayer: who } }, `${seatName(state, who)} plays ${cardToString(own)} (total ${total}).`);
+  s = addScore(s, who, points, "the play");
+  // 31 ends the count at once: everyone comes back in, starting left of whoever made it.
+  if (total === 31) s = { ...s, peg: { ...s.peg, stack: [], total: 0, passed: s.peg.passed.map(() => false) } };
+  return settlePeg(s, who);
+}
+
+function go(state, { who }) {
+  const peg = state.peg;
+  if (state.phase !== "pegging" || state.gameOver || peg.next !== who) return state;
+  if (legalPlays(peg.hands[who], peg.total).length > 0) return state;
+  const passed = peg.passed.slice();
+  passed[who] = true;
+  return settlePeg(logLine({ ...state, peg: { ...peg, passed } }, `${seatName(state, who)} says Go.`), who);
+}
+
+function show(state) {
+  if (state.phase !== "show" || state.showResult || state.gameOver) return state;
+  const seats = state.hands.length, st = state.starter;
+  const order = Array.from({ length: seats }, (_, k) => (state.dealer + 1 + k) % seats);
+  const sections = order.map(seat => ({ key: `hand${seat}`, who: seat, title: `${seatName(state, seat)} hand`, ...handBreakdown(state.hands[seat], st, false, state.rules) }));
+  sections.push({ key: "crib", who: state.dealer, title: `Crib (${seatName(state, state.dealer)})`, ...handBreakdown(state.crib, st, true, state.rules) });
+  let s = state;
+  for (const sec of sections) {
+    if (s.gameOver) { sec.counted = false; continue; }
+    sec.counted = true;
+    s = logLine(s, `${sec.title}: ${sec.cards.map(cardToString).join(" ")} + ${cardToString(st)} = ${sec.total}`);
+    s = addScore(s, sec.who, sec.total, sec.key === "crib" ? "the crib" : "the hand");
+  }
+  return { ...s, showResult: { sections } };
+}
+
+export function multiGameReducer(state, action) {
+  switch (action.type) {
+    case "deal": return deal(state);
+    case "discard": return discard(state, action);
+    case "cut": return cut(state);
+    case "play": return play(state, action);
+    case "go": return go(state, action);
+    case "show": return show(state);
+    default: return state;
+  }
+}
+
+/** ---------------------- AI Seats ---------------------- */
+// The rollout search in lib/cribbage.js models exactly two hands, so seats here play by quick
+// estimates instead. Discard: keep the four with the best average hand over every starter not in
+// view, plus or minus the tossed card's share of the average crib (for or against the AI's side).
+export function multiDiscardAI(state, seat) {
+  const hand = state.hands[seat];
+  const starters = minus(makeDeck(), hand);
+  const ownCrib = sideOf(state, state.dealer) === sideOf(state, seat);
+  let best = null;
+  for (const toss of hand) {
+    const keep = hand.filter(c => c !== toss);
+    const handEV = starters.reduce((sum, st) => sum + handPoints(keep, st, false, state.rules), 0) / starters.length;
+    const cribEV = starters.reduce((sum, c) => sum + cribTossValue([toss, c], state.rules), 0) / starters.length / 2;
+    const net = handEV + (ownCrib ? cribEV : -cribEV);
+    if (!best || net > best.net) best = { toss, net };
+  }
+  return best.toss;
+}
+
+// Pegging: points now, less a penalty for leaving a count the next player can turn into 15 or 31
+// with a ten-card, or for a card they could pair. null means Go.
+export function multiPegAI(state, seat) {
+  const { stack, total, hands } = state.peg;
+  const legal = legalPlays(hands[seat], total);
+  if (legal.length === 0) return null;
+  const score = (c) => {
+    const t = total + cardValue15(c.r);
+    const risk = (t === 5 || t === 21 ? 1.5 : 0) + (t < 31 && t + cardValue15(c.r) <= 31 ? 0.6 : 0);
+    return playPoints(stack, total, c) - risk + cardValue15(c.r) * 0.01;
+  };
+  return legal.reduce((a, b) => (score(b) > score(a) ? b : a));
+}
@@ -0,0 +1,36 @@
+/** ---------------------- AI Opponents ---------------------- */
+// A level says which evaluators the AI uses and how hard it searches:
+//   discard       "naive" (best four on their own, crib ignored), "mc" (sampled) or "exact"
+//   discardSims   samples per toss for "mc"
+//   peg           "random" legal card, "greedy" (most points now) or "rollout"
+//   pegSims       rollouts per candidate card
+//   position      near the finish, play for win probability by score position (lib/position.js)
+// "custom" takes these from the sim sliders instead.
+export const AI_LEVELS = {
+  beginner: { level: "beginner", name: "Beginner", discard: "naive", discardSims: 0, peg: "random", pegSims: 0, position: false },
+  casual: { level: "casual", name: "Casual", discard: "mc", discardSims: 60, peg: "greedy", pegSims: 0, position: false },
+  skilled: { level: "skilled", name: "Skilled", discard: "mc", discardSims: 400, peg: "rollout", pegSims: 120, position: false },
+  expert: { level: "expert", name: "Expert", discard: "exact", discardSims: 0, peg: "rollout", pegSims: 400, position: true },
+};
+
+export const DEFAULT_LEVEL = "skilled";
+
+export function customLevel(discardMode, mcDiscard, mcPeg) {
+  return { level: "custom", name: "Custom", discard: discardMode, discardSims: mcDiscard, peg: "rollout", pegSims: mcPeg, position: false };
+}
+
+// A personality reweights what the evaluators return, so every level can have one:
+//   cribFor / cribAgainst   weight of the crib EV when it is the AI's own / the opponent's
+//   pegDefense              weight of the points the opponent is expected to peg back
+// Position play near the finish optimises win probability alone, so personalities stop there.
+export const AI_PERSONALITIES = {
+  balanced: { personality: "balanced", name: "Balanced", cribFor: 1, cribAgainst: 0.9, pegDefense: 1 },
+  aggressive: { personality: "aggressive", name: "Aggressive pegger", cribFor: 1.1, cribAgainst: 0.7, pegDefense: 0.5 },
+  defensive: { personality: "defensive", name: "Defensive tosser", cribFor: 1, cribAgainst: 1.4, pegDefense: 1.3 },
+};
+
+export const DEFAULT_PERSONALITY = AI_PERSONALITIES.balanced;
+
+export function describeOpponent(level, personality) {
+  return personality.personality === "balanced" ? level.name : `${level.name}, ${personality.name.toLowerCase()}`;
+}
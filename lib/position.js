@@ -0,0 +1,99 @@
+import { handPoints, cribTossValue } from "./cribbage.js";
+
+/** ---------------------- Board Position ---------------------- */
+// Win probability by score position, for AI play near the finish. A deal is modelled as the pone
+// scoring first (pegging + hand) and then the dealer (pegging + hand + crib), each drawn from a
+// rounded normal with the averages of good play below. Positions are kept as points still needed,
+// so one table serves games to 61 and to 121.
+const PEG = { dealer: 4.2, pone: 2.4 };
+const HAND = { mean: 8.0, sd: 4.6 };
+const CRIB = { mean: 4.6, sd: 3.5 };
+const MAX_NEED = 121;
+export const ENDGAME_RANGE = 30; // position play starts once either side is this close to the finish
+
+// P(points = x) for x = 0..mean+4sd; mass below min is moved up to min.
+function pointsDist(mean, sd, min = 0) {
+  const w = [];
+  for (let x = 0; x <= Math.ceil(mean + 4 * sd); x++) w.push(Math.exp(-((x - mean) ** 2) / (2 * sd * sd)));
+  for (let x = 0; x < min; x++) { w[min] += w[x]; w[x] = 0; }
+  const sum = w.reduce((a, b) => a + b, 0);
+  return w.map(v => v / sum);
+}
+
+const PONE_DEAL = pointsDist(PEG.pone + HAND.mean, Math.hypot(HAND.sd, 2));
+const DEALER_DEAL = pointsDist(PEG.dealer + HAND.mean + CRIB.mean, Math.hypot(HAND.sd, CRIB.sd, 2.5), 1);
+const HAND_SHOW = pointsDist(HAND.mean, HAND.sd);
+const DEALER_SHOW = pointsDist(HAND.mean + CRIB.mean, Math.hypot(HAND.sd, CRIB.sd));
+
+// table[dealer][need * (MAX_NEED + 1) + oppNeed]: chance that the side needing `need` wins from the
+// start of a deal. Filled in order of need + oppNeed, since every deal scores at least one point.
+let table = null;
+function winTable() {
+  if (table) return table;
+  const N = MAX_NEED + 1;
+  table = [new Float64Array(N * N), new Float64Array(N * N)];
+  const [pone, dealer] = table;
+  for (let sum = 2; sum <= 2 * MAX_NEED; sum++) {
+    for (let a = Math.max(1, sum - MAX_NEED); a <= Math.min(MAX_NEED, sum - 1); a++) {
+      const b = sum - a;
+      let wp = 0, wd = 0;
+      for (let x = 0; x < PONE_DEAL.length; x++) {
+        // I am pone and score x first / the opponent is pone and scores x first.
+        let restP = 0, restD = 0;
+        for (let y = 1; y < DEALER_DEAL.length; y++) {
+          if (y < b && x < a) restP += DEALER_DEAL[y] * dealer[(a - x) * N + (b - y)];
+          if (y >= a) restD += DEALER_DEAL[y];
+          else if (x < b) restD += DEALER_DEAL[y] * pone[(a - y) * N + (b - x)];
+        }
+        wp += PONE_DEAL[x] * (x >= a ? 1 : restP);
+        wd += PONE_DEAL[x] * (x >= b ? 0 : restD);
+      }
+      pone[a * N + b] = wp;
+      dealer[a * N + b] = wd;
+    }
+  }
+  return table;
+}
+
+// Chance to win needing `need` against `oppNeed`, at the start of a deal where I am or am not dealer.
+export function winProbability(need, oppNeed, isDealer) {
+  if (need <= 0) return 1;
+  if (oppNeed <= 0) return 0;
+  const N = MAX_NEED + 1;
+  return winTable()[isDealer ? 1 : 0][Math.min(need, MAX_NEED) * N + Math.min(oppNeed, MAX_NEED)];
+}
+
+// After the pegging: the pone shows first, then the dealer; the next deal swaps the crib.
+// myShow is known; the opponent's show is drawn (oppCrib: their crib's points if known).
+function winAfterPegging(need, oppNeed, isDealer, myShow, oppCrib = null) {
+  if (need <= 0) return 1;
+  if (oppNeed <= 0) return 0;
+  const oppShow = oppCrib === null ? (isDealer ? HAND_SHOW : DEALER_SHOW) : HAND_SHOW;
+  const extra = oppCrib || 0;
+  let p = 0;
+  for (let y = 0; y < oppShow.length; y++) {
+    const theirs = y + extra;
+    const q = oppShow[y];
+    if (!isDealer) p += q * (myShow >= need ? 1 : (theirs >= oppNeed ? 0 : winProbability(need - myShow, oppNeed - theirs, true)));
+    else p += q * (theirs >= oppNeed ? 0 : (myShow >= need ? 1 : winProbability(need - myShow, oppNeed - theirs, false)));
+  }
+  return p;
+}
+
+// position: { me, opp, target, isDealer } from the AI's side, plus for pegging its kept four, its
+// toss and the starter.
+export const inEndgame = (pos) => pos.target - pos.me <= ENDGAME_RANGE || pos.target - pos.opp <= ENDGAME_RANGE;
+
+// Objective for one sampled discard outcome: the AI's hand and the crib's points, pegging at its average.
+export function discardObjective(pos) {
+  const need = pos.target - pos.me - Math.round(pos.isDealer ? PEG.dealer : PEG.pone);
+  const oppNeed = pos.target - pos.opp - Math.round(pos.isDealer ? PEG.pone : PEG.dealer);
+  return (hand, crib) => winAfterPegging(need, oppNeed, pos.isDealer, hand + (pos.isDealer ? crib : 0), pos.isDealer ? null : Math.round(crib));
+}
+
+// Objective for one pegging rollout: the points each side pegged, then the show. The AI's own
+// crib is valued from its toss, as the opponent's two cards are unknown.
+export function peggingObjective(pos, rules) {
+  const myShow = handPoints(pos.keep, pos.starter, false, rules) + (pos.isDealer ? Math.round(cribTossValue(pos.toss, rules)) : 0);
+  return (mine, theirs) => winAfterPegging(pos.target - pos.me - mine, pos.target - pos.opp - theirs, pos.isDealer, myShow);
+}
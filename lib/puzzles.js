@@ -0,0 +1,248 @@
+import { makeDeck, cardToString, cardValue15, cardsEqual, legalPlays, applyPlay, minus } from "./cribbage.js";
+import { other } from "./gameMachine.js";
+import { parseCard, cardCode } from "./record.js";
+
+/** ---------------------- Pegging Puzzles ---------------------- */
+// A puzzle is a pegging position with you to play, as plain JSON that can be written by hand:
+//
+//   {
+//     "format": "cribbage-puzzle", "version": 1,
+//     "title": "Pair or run?", "note": "optional text shown with the puzzle",
+//     "stack": ["7H", "8D"],        cards played since the count last started, oldest first
+//     "total": 15,                  optional; checked against the stack
+//     "you": ["9S", "6C", "KD"],    your cards still to play
+//     "opp": ["9H", "5C"],          the opponent's cards still to play, or null when unknown:
+//     "oppCards": 2,                  how many they hold
+//     "known": ["5S", "JD"],          cards they cannot hold (starter, your discards, earlier plays)
+//     "oppGo": false                the opponent has said Go on this count
+//   }
+//
+// Cards are written as in game records (lib/record.js). The solution searches the whole rest of
+// the pegging (every order either side can play in) with each side playing for the most points
+// it pegs less the points it gives, scored by applyPlay and the same Go and last-card rules as the
+// game. With the opponent's hand unknown, every hand they could hold is searched and weighted by
+// how many ways it can be dealt; each line then plays as though both hands were face up.
+export const PUZZLE_FORMAT = "cribbage-puzzle";
+export const PUZZLE_VERSION = 1;
+const MAX_HAND = 4;
+
+const handKey = (who) => (who === "P" ? "pHand" : "aiHand");
+const passKey = (who) => (who === "P" ? "pPassed" : "aiPassed");
+const sumCards = (cards) => cards.reduce((a, c) => a + cardValue15(c.r), 0);
+
+function cardList(list, what) {
+  if (!Array.isArray(list)) throw new Error(`${what} must be a list of cards.`);
+  return list.map(parseCard);
+}
+
+// Checks a puzzle (JSON text or object) and returns it with its cards parsed.
+export function parsePuzzle(text) {
+  let p;
+  try { p = typeof text === "string" ? JSON.parse(text) : text; } catch (e) { throw new Error("Not valid JSON."); }
+  if (!p || p.format !== PUZZLE_FORMAT) throw new Error("Not a cribbage puzzle.");
+  if (p.version > PUZZLE_VERSION) throw new Error(`Puzzle version ${p.version} is newer than this app understands.`);
+  const stack = cardList(p.stack || [], "stack"), you = cardList(p.you, "you");
+  const hidden = p.opp === null || p.opp === undefined;
+  const opp = hidden ? null : cardList(p.opp, "opp");
+  const known = hidden ? cardList(p.known || [], "known") : [];
+  const oppCards = hidden ? p.oppCards : opp.length;
+  const total = sumCards(stack);
+  if (p.total !== undefined && p.total !== total) throw new Error(`The stack counts ${total}, not ${p.total}.`);
+  if (total >= 31) throw new Error("The count must be under 31 (a 31 starts a new count).");
+  if (you.length === 0 || you.length > MAX_HAND) throw new Error(`You need 1 to ${MAX_HAND} cards.`);
+  if (!(Number.isInteger(oppCards) && oppCards >= 0 && oppCards <= MAX_HAND)) throw new Error(`The opponent holds 0 to ${MAX_HAND} cards.`);
+  const all = stack.concat(you, opp || [], known);
+  const dup = all.find((c, i) => all.findIndex(d => cardsEqual(c, d)) !== i);
+  if (dup) throw new Error(`${cardCode(dup)} appears twice.`);
+  if (hidden && 52 - all.length < oppCards) throw new Error("Too few unseen cards for the opponent's hand.");
+  if (legalPlays(you, total).length === 0) throw new Error("You have no legal play; a puzzle needs a choice to make.");
+  return { title: String(p.title || "Untitled puzzle"), note: p.note ? String(p.note) : "", stack, total, you, opp, oppCards, known, oppGo: !!p.oppGo };
+}
+
+// Back to the JSON form, for sharing.
+export function puzzleJSON(puzzle) {
+  return {
+    format: PUZZLE_FORMAT, version: PUZZLE_VERSION, title: puzzle.title, ...(puzzle.note ? { note: puzzle.note } : {}),
+    stack: puzzle.stack.map(cardCode), total: puzzle.total, you: puzzle.you.map(cardCode),
+    ...(puzzle.opp ? { opp: puzzle.opp.map(cardCode) } : { opp: null, oppCards: puzzle.oppCards, known: puzzle.known.map(cardCode) }),
+    oppGo: puzzle.oppGo,
+  };
+}
+
+/** ---------------------- Search ---------------------- */
+// The pegging state of lib/gameMachine.js (P is you, AI the opponent), moved on the way its
+// reducer does. A line is the moves from here on: { who, card, points } for a play, card null for
+// a Go, and { who, card: null, scored: "go" | "last", points: 1 } for the point a Go or the last card
+// scores.
+function settle(peg, line) {
+  for (;;) {
+    if (peg.pHand.length === 0 && peg.aiHand.length === 0) {
+      if (peg.total > 0 && peg.total < 31) line.push({ who: peg.lastPlayer, card: null, scored: "last", points: 1 });
+      return null;
+    }
+    if (peg.pPassed && peg.aiPassed) {
+      line.push({ who: peg.lastPlayer, card: null, scored: "go", points: 1 });
+      peg = { ...peg, stack: [], total: 0, pPassed: false, aiPassed: false, next: other(peg.lastPlayer) };
+      continue;
+    }
+    if (peg[handKey(peg.next)].length === 0) {
+      peg = { ...peg, [passKey(peg.next)]: true, next: other(peg.next) };
+      continue;
+    }
+    return peg;
+  }
+}
+
+function move(peg, card) {
+  const who = peg.next, line = [];
+  if (!card) {
+    line.push({ who, card: null, points: 0 });
+    return { peg: settle({ ...peg, [passKey(who)]: true, next: other(who) }, line), line };
+  }
+  const s1 = applyPlay(peg, card, who);
+  line.push({ who, card, points: s1.points });
+  let next = { ...s1, pPassed: peg.pPassed, aiPassed: peg.aiPassed, next: peg[passKey(other(who))] ? who : other(who), lastPlayer: who };
+  if (s1.thirtyOne) next = { ...next, stack: [], total: 0, pPassed: false, aiPassed: false, next: other(who) };
+  return { peg: settle(next, line), line };
+}
+
+const netOf = (line) => line.reduce((a, m) => a + (m.who === "P" ? m.points : -m.points), 0);
+
+// What the rest of the pegging is worth to you (net) with both sides playing their best. Suits
+// never score in pegging, so only one card of each rank is tried and positions are remembered by
+// rank; opponent hands that differ only in suits, or reach the same position by another order,
+// are searched once.
+const ranks = (cards) => cards.map(c => c.r).sort((x, y) => x - y).join(",");
+const positionKey = (peg) => `${peg.next}${+peg.pPassed}${+peg.aiPassed}${peg.lastPlayer}|${ranks(peg.pHand)}|${ranks(peg.aiHand)}|${peg.stack.map(c => c.r).join(",")}`;
+
+function choices(peg) {
+  const legal = legalPlays(peg[handKey(peg.next)], peg.total);
+  return legal.length ? legal.filter((c, i) => legal.findIndex(d => d.r === c.r) === i) : [null];
+}
+
+function value(peg, memo) {
+  if (!peg) return 0;
+  const key = positionKey(peg);
+  if (memo.has(key)) return memo.get(key);
+  const sign = peg.next === "P" ? 1 : -1;
+  let best = -Infinity;
+  for (const card of choices(peg)) {
+    const r = move(peg, card);
+    best = Math.max(best, sign * (netOf(r.line) + value(r.peg, memo)));
+  }
+  memo.set(key, sign * best);
+  return sign * best;
+}
+
+// The moves behind value(): at each turn, the first choice that keeps the value.
+function bestLine(peg, memo) {
+  const line = [];
+  while (peg) {
+    const target = value(peg, memo);
+    const r = choices(peg).map(card => move(peg, card)).find(m => netOf(m.line) + value(m.peg, memo) === target);
+    line.push(...r.line);
+    peg = r.peg;
+  }
+  return line;
+}
+
+function startPeg(puzzle, opp) {
+  return { stack: puzzle.stack, total: puzzle.total, pHand: puzzle.you, aiHand: opp, pPassed: false, aiPassed: puzzle.oppGo, next: "P", lastPlayer: null };
+}
+
+// Every hand of n cards the opponent could hold, one per set of ranks, with the number of
+// ways it can be dealt from the unseen cards.
+function possibleHands(unseen, n) {
+  const byRank = Array.from({ length: 14 }, () => []);
+  for (const c of unseen) byRank[c.r].push(c);
+  const choose = (a, b) => { let x = 1; for (let i = 0; i < b; i++) x = (x * (a - i)) / (i + 1); return x; };
+  const out = [];
+  (function pick(rank, hand, weight) {
+    if (hand.length === n) { out.push({ hand, weight }); return; }
+    if (rank > 13) return;
+    const have = byRank[rank];
+    for (let k = Math.min(have.length, n - hand.length); k >= 0; k--) pick(rank + 1, hand.concat(have.slice(0, k)), weight * choose(have.length, k));
+  })(1, [], 1);
+  return out;
+}
+
+// One row per legal card in your hand: { card, net, line } with net the points you peg less the
+// points the opponent pegs from here on. When the opponent's hand is unknown, net is the average
+// over their possible hands and, in place of line, best / worst are the hands that suit the play
+// most and least, each { net, line, opp }. best is the card to play (a row whose net is highest).
+export function solvePuzzle(puzzle) {
+  const legal = legalPlays(puzzle.you, puzzle.total);
+  const hands = puzzle.opp
+    ? [{ hand: puzzle.opp, weight: 1 }]
+    : possibleHands(minus(makeDeck(), puzzle.stack.concat(puzzle.you, puzzle.known)), puzzle.oppCards);
+  const memo = new Map(), byRank = {};
+  const rows = legal.map(card => {
+    if (!byRank[card.r]) {
+      let sum = 0, weights = 0, best = null, worst = null;
+      for (const { hand, weight } of hands) {
+        const r = move(startPeg(puzzle, hand), card);
+        const res = { net: netOf(r.line) + value(r.peg, memo), first: r, opp: hand };
+        sum += res.net * weight; weights += weight;
+        if (!best || res.net > best.net) best = res;
+        if (!worst || res.net < worst.net) worst = res;
+      }
+      const withLine = ({ net, first, opp }) => ({ net, line: first.line.concat(bestLine(first.peg, memo)), opp });
+      byRank[card.r] = puzzle.opp ? { net: best.net, line: withLine(best).line } : { net: sum / weights, best: withLine(best), worst: withLine(worst) };
+    }
+    // Lines were searched with another card of this rank; swap the two so the row's card leads.
+    const r = byRank[card.r];
+    const own = (line) => line.map(m => (m.card === line[0].card ? { ...m, card } : (m.card === card ? { ...m, card: line[0].card } : m)));
+    return puzzle.opp ? { card, net: r.net, line: own(r.line) } : { card, net: r.net, best: { ...r.best, line: own(r.best.line) }, worst: { ...r.worst, line: own(r.worst.line) } };
+  });
+  const top = Math.max(...rows.map(r => r.net));
+  return { rows, best: rows.find(r => r.net === top), top, hands: hands.length };
+}
+
+// Tolerates rounding in the averages of unknown-hand puzzles.
+export const isBestPlay = (solution, card) => solution.rows.some(r => cardsEqual(r.card, card) && r.net >= solution.top - 1e-9);
+
+export function describeLine(line) {
+  return line.map(m => {
+    const name = m.who === "P" ? "You" : "Opp";
+    if (m.scored) return `${name} +1 for ${m.scored === "go" ? "the go" : "last card"}`;
+    if (!m.card) return `${name} go`;
+    return `${name} ${cardToString(m.card)}${m.points ? ` +${m.points}` : ""}`;
+  }).join(", ");
+}
+
+/** ---------------------- Built-in Puzzles ---------------------- */
+export const BUILTIN_PUZZLES = [
+  {
+    format: PUZZLE_FORMAT, version: 1, title: "Fifteen or pair?",
+    note: "The opponent led a 7 and the count is 7.",
+    stack: ["7H"], you: ["8S", "7C", "KD"], opp: ["6D", "9H", "JC"], oppGo: false,
+  },
+  {
+    format: PUZZLE_FORMAT, version: 1, title: "Take the run?",
+    note: "The 5 makes fifteen and a run of three. What comes back?",
+    stack: ["4D", "6C"], you: ["5H", "10S", "QC"], opp: ["3S", "7H", "JD"], oppGo: false,
+  },
+  {
+    format: PUZZLE_FORMAT, version: 1, title: "Answering a 3 lead",
+    stack: ["3C"], you: ["2S", "4H", "9D"], opp: ["5C", "AH", "KD"], oppGo: false,
+  },
+  {
+    format: PUZZLE_FORMAT, version: 1, title: "Close to 31",
+    note: "The opponent has said Go at 25.",
+    stack: ["10H", "JS", "5D"], you: ["2C", "4H", "6S"], opp: ["KD", "9C"], oppGo: true,
+  },
+  {
+    format: PUZZLE_FORMAT, version: 1, title: "Run or hold back?",
+    stack: ["9C", "8D"], you: ["7S", "6H"], opp: ["6C", "3H"], oppGo: false,
+  },
+  {
+    format: PUZZLE_FORMAT, version: 1, title: "Leading into the unknown",
+    note: "A new count; the opponent holds four cards you have not seen.",
+    stack: [], you: ["4C", "5D", "6H", "KS"], opp: null, oppCards: 4, known: ["JH", "JC", "QD"], oppGo: false,
+  },
+  {
+    format: PUZZLE_FORMAT, version: 1, title: "Pair royal bait",
+    note: "The count is 10 and the opponent has two cards you can't see.",
+    stack: ["KH"], you: ["5S", "5D", "9C"], opp: null, oppCards: 2, known: ["KC", "2D", "8H", "7S"], oppGo: false,
+  },
+];
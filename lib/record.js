@@ -0,0 +1,169 @@
+import { SUITS, rankLabel } from "./cribbage.js";
+import { gameReducer, initGame } from "./gameMachine.js";
+
+/** ---------------------- Game Records ---------------------- */
+// A game record is plain JSON whose moves are short text tokens, so it can be read, diffed and
+// written by hand:
+//
+//   {
+//     "format": "cribbage-record", "version": 2,
+//     "seed": 123456789, "firstDealer": "P", "dealCuts": [{ "P": "3C", "AI": "9H" }], "countOwn": false, "hotseat": false,
+//     "rules": { ...a rules object, see lib/rules.js },
+//     "moves": ["deal", "discard AI 5H JC", "discard P 2S 9D", "cut 17", "play P 9C", "go AI", "show", ...],
+//     "deals": [ ...one summary per deal, derived from the moves ],
+//     "result": { "winner": "AI", "kind": "skunk", "scores": { "P": 88, "AI": 121 } }
+//   }
+//
+// Cards are rank + suit letter: A 2 … 10 J Q K and C D H S, e.g. "10H", "QS", "AC".
+// dealCuts, when present, are the cuts for first deal (a tie is cut again); they follow from the
+// seed, which decides the dealer. Without them firstDealer was fixed (later games of a match).
+// Moves (the authoritative part; seed + rules + moves rebuild the game exactly):
+//   deal | redeal                     shuffle and deal / throw the hand in and deal again
+//   discard <P|AI> <card> <card>      two cards to the crib
+//   cut [<n>]                         pone cuts n cards off the top and turns the next (version 1
+//                                     records turn the top card)
+//   play <P|AI> <card> [claim <n>]    peg a card (claim: count-your-own mode)
+//   go <P|AI>                         no legal play
+//   show [claim <hand> <crib>]        count the hands (claims: count-your-own mode)
+//   countown on|off                   table option changed mid-game
+// Each deal summary holds the dealer, both dealt hands, the discards, the starter, the pegging
+// sequence and the show totals (and "last": "P+3" for three for last in the five-card game,
+// "cut": 17 for where the starter was cut). Pegging tokens are "<who> <card|go>" followed by whatever it
+// scored, e.g. "AI 10S AI+2", "P go AI+1". Summaries are for reading; import checks
+// them against the moves when present, so a hand-written record can leave them out.
+export const RECORD_FORMAT = "cribbage-record";
+export const RECORD_VERSION = 2;
+
+const SUIT_LETTERS = ["C", "D", "H", "S"];
+const RANK_CODES = { A: 1, J: 11, Q: 12, K: 13 };
+
+export const cardCode = (c) => `${rankLabel(c.r)}${SUIT_LETTERS[SUITS.indexOf(c.s)]}`;
+
+export function parseCard(code) {
+  const m = /^(A|[2-9]|10|J|Q|K)([CDHS])$/.exec(String(code).trim().toUpperCase());
+  if (!m) throw new Error(`Not a card: "${code}"`);
+  return { r: RANK_CODES[m[1]] || parseInt(m[1], 10), s: SUITS[SUIT_LETTERS.indexOf(m[2])] };
+}
+
+export function encodeMove(a) {
+  switch (a.type) {
+    case "deal": return a.redeal ? "redeal" : "deal";
+    case "discard": return `discard ${a.who} ${a.cards.map(cardCode).join(" ")}`;
+    case "cut": return a.at == null ? "cut" : `cut ${a.at}`;
+    case "play": return `play ${a.who} ${cardCode(a.card)}${a.claim ? ` claim ${a.claim}` : ""}`;
+    case "go": return `go ${a.who}`;
+    case "show": return a.claims ? `show claim ${a.claims.hand} ${a.claims.crib}` : "show";
+    case "options": return `countown ${a.countOwn ? "on" : "off"}`;
+    default: throw new Error(`Cannot record action "${a.type}"`);
+  }
+}
+
+export function decodeMove(text) {
+  const t = String(text).trim().split(/\s+/);
+  const who = (w) => { if (w !== "P" && w !== "AI") throw new Error(`Bad player in "${text}"`); return w; };
+  const num = (n) => { const v = parseInt(n, 10); if (!(v >= 0)) throw new Error(`Bad number in "${text}"`); return v; };
+  switch (t[0]) {
+    case "deal": return { type: "deal" };
+    case "redeal": return { type: "deal", redeal: true };
+    case "discard": return { type: "discard", who: who(t[1]), cards: [parseCard(t[2]), parseCard(t[3])] };
+    case "cut": return t[1] === undefined ? { type: "cut" } : { type: "cut", at: num(t[1]) };
+    case "play": return { type: "play", who: who(t[1]), card: parseCard(t[2]), claim: t[3] === "claim" ? num(t[4]) : 0 };
+    case "go": return { type: "go", who: who(t[1]) };
+    case "show": return t[1] === "claim" ? { type: "show", claims: { hand: num(t[2]), crib: num(t[3]) } } : { type: "show" };
+    case "countown": return { type: "options", countOwn: t[1] === "on" };
+    default: throw new Error(`Unrecognised move "${text}"`);
+  }
+}
+
+const gains = (before, after) => ["P", "AI"].filter(w => after[w] > before[w]).map(w => `${w}+${after[w] - before[w]}`);
+
+// Step through the game one action at a time. Every step keeps the full state (for the viewer)
+// and the log lines that action produced; the deal summaries are collected along the way.
+export function walkGame(seed, opts, actions) {
+  let state = initGame(seed, opts);
+  const steps = [{ move: null, action: null, lines: state.log.slice().reverse(), state }];
+  const deals = [];
+  for (let i = 0; i < actions.length; i++) {
+    const action = actions[i];
+    const input = { ...state, log: [] };
+    const next = gameReducer(input, action);
+    if (next === input) return { steps, deals, state, rejected: i }; // not a legal move here
+    const lines = next.log.slice().reverse();
+    const prev = state;
+    state = { ...next, log: next.log.concat(prev.log) };
+    steps.push({ move: encodeMove(action), action, lines, state });
+
+    const d = deals[deals.length - 1];
+    if (action.type === "deal") {
+      if (action.redeal && d) d.thrownIn = true;
+      const last = gains(prev.scores, state.scores); // three for last, in the five-card game
+      deals.push({
+        dealer: state.dealer, hands: { P: state.pHand.map(cardCode), AI: state.aiHand.map(cardCode) },
+        discards: {}, starter: null, ...(last.length ? { last: last[0] } : {}), pegging: [], show: null, scores: { ...state.scores },
+      });
+      continue;
+    }
+    if (!d) continue;
+    const scored = gains(prev.scores, state.scores);
+    if (action.type === "discard") d.discards[action.who] = action.cards.map(cardCode);
+    if (action.type === "cut") {
+      d.starter = cardCode(state.starter);
+      if (action.at != null) d.cut = action.at;
+      if (scored.length) d.heels = scored[0];
+    }
+    if (action.type === "play") d.pegging.push([action.who, cardCode(action.card), ...scored].join(" "));
+    if (action.type === "go") d.pegging.push([action.who, "go", ...scored].join(" "));
+    if (action.type === "show" && state.showResult) {
+      const r = state.showResult;
+      d.show = { [r.pone.who]: r.pone.total, [r.dealer.who]: r.dealer.total, crib: r.crib.total };
+    }
+    d.scores = { ...state.scores };
+  }
+  return { steps, deals, state, rejected: null };
+}
+
+// initGame options that rebuild a game from its seed. Saved games from before records existed have
+// no startOptions; their current option is the best guess. A game that cut for deal cuts again
+// (to the same cards) rather than being handed its dealer.
+export function gameOpts(game) {
+  const { countOwn, hotseat = false } = game.startOptions || game.options;
+  return { dealer: game.dealCuts ? undefined : game.firstDealer, rules: game.rules, countOwn, hotseat };
+}
+
+const encodeCuts = (dealCuts) => dealCuts && dealCuts.map(c => ({ P: cardCode(c.P), AI: cardCode(c.AI) }));
+
+export function buildRecord(game, actions) {
+  const { countOwn, hotseat } = gameOpts(game);
+  const { deals, state } = walkGame(game.seed, gameOpts(game), actions);
+  return {
+    format: RECORD_FORMAT, version: RECORD_VERSION,
+    seed: game.seed, firstDealer: game.firstDealer, ...(game.dealCuts ? { dealCuts: encodeCuts(game.dealCuts) } : {}),
+    countOwn, hotseat, rules: game.rules,
+    moves: actions.map(encodeMove),
+    deals,
+    result: state.result ? { winner: state.result.winner, kind: state.result.kind, scores: state.scores } : null,
+  };
+}
+
+export const recordOpts = (record) => ({ dealer: record.dealCuts ? undefined : record.firstDealer, rules: record.rules, countOwn: !!record.countOwn, hotseat: !!record.hotseat });
+
+// Parse and check an imported record; throws an Error saying what is wrong.
+export function parseRecord(text) {
+  let rec;
+  try { rec = typeof text === "string" ? JSON.parse(text) : text; } catch (e) { throw new Error("Not valid JSON."); }
+  if (!rec || rec.format !== RECORD_FORMAT) throw new Error("Not a cribbage record.");
+  if (rec.version > RECORD_VERSION) throw new Error(`Record version ${rec.version} is newer than this app understands.`);
+  if (typeof rec.seed !== "number" || !rec.rules || !Array.isArray(rec.moves)) throw new Error("Record is missing its seed, rules or moves.");
+  if (rec.firstDealer !== "P" && rec.firstDealer !== "AI") throw new Error("Record is missing its first dealer.");
+  const actions = rec.moves.map(decodeMove);
+  const { steps, deals, state, rejected } = walkGame(rec.seed, recordOpts(rec), actions);
+  if (rec.dealCuts && (JSON.stringify(encodeCuts(steps[0].state.dealCuts)) !== JSON.stringify(rec.dealCuts) || steps[0].state.firstDealer !== rec.firstDealer)) {
+    throw new Error("The cuts for deal do not match the seed.");
+  }
+  if (rejected !== null) throw new Error(`Move ${rejected + 1} ("${rec.moves[rejected]}") is not legal at that point.`);
+  if (rec.deals && JSON.stringify(rec.deals) !== JSON.stringify(deals)) throw new Error("The deal summaries do not match the moves.");
+  if (rec.result && (rec.result.scores.P !== state.scores.P || rec.result.scores.AI !== state.scores.AI)) {
+    throw new Error("The moves do not replay to the recorded final score.");
+  }
+  return { ...rec, actions, deals, steps };
+}
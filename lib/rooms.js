@@ -0,0 +1,155 @@
+import { randomInt, randomUUID } from "crypto";
+import { cardsEqual } from "./cribbage.js";
+import { gameReducer, initGame, other } from "./gameMachine.js";
+import { RULE_PRESETS } from "./rules.js";
+
+/** ---------------------- Online Rooms (server only) ---------------------- */
+// Two-player games held in server memory. The room keeps the full game state (seed, deck, both
+// hands); each client only ever receives seatView() of it. Seats are claimed with a secret token,
+// which the client keeps to reconnect. Player 1 (seat P) creates the room, Player 2 (seat AI) joins.
+// Kept on globalThis so every API route, and hot reloads under `next dev`, share one store.
+const rooms = globalThis.cribbageRooms || (globalThis.cribbageRooms = new Map());
+const IDLE_MS = 6 * 60 * 60 * 1000; // rooms nobody has touched for this long are dropped
+const CODE_LETTERS = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // no I or O, they read as digits
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+function sweep() {
+  const now = Date.now();
+  for (const [code, room] of rooms) if (now - room.touched > IDLE_MS && room.listeners.size === 0) rooms.delete(code);
+}
+
+function newCode() {
+  for (;;) {
+    let code = "";
+    for (let i = 0; i < 5; i++) code += CODE_LETTERS[randomInt(CODE_LETTERS.length)];
+    if (!rooms.has(code)) return code;
+  }
+}
+
+function newGame(room, dealer) {
+  return initGame(randomInt(2 ** 32), { hotseat: true, rules: room.rules, dealer });
+}
+
+export function getRoom(code) {
+  const room = rooms.get(String(code || "").toUpperCase());
+  if (!room) throw fail(404, "No room with that code.");
+  return room;
+}
+
+export function seatFor(room, token) {
+  const seat = ["P", "AI"].find(s => room.tokens[s] && room.tokens[s] === token);
+  if (!seat) throw fail(403, "Not a player in this room.");
+  return seat;
+}
+
+// preset names a RULE_PRESETS entry (standard when left out); it comes from the client, so only
+// the table's own keys are accepted.
+export function createRoom(preset = "standard") {
+  if (typeof preset !== "string" || !Object.hasOwn(RULE_PRESETS, preset)) throw fail(400, "Unknown rules.");
+  sweep();
+  const rules = RULE_PRESETS[preset];
+  const room = { code: newCode(), rules, tokens: { P: randomUUID(), AI: null }, listeners: new Set(), touched: Date.now() };
+  room.game = newGame(room);
+  rooms.set(room.code, room);
+  return { code: room.code, seat: "P", token: room.tokens.P };
+}
+
+// A known token rejoins its seat; otherwise the free seat is taken and the first deal goes out.
+export function joinRoom(code, token) {
+  const room = getRoom(code);
+  const known = ["P", "AI"].find(s => token && room.tokens[s] === token);
+  if (known) return { code: room.code, seat: known, token };
+  if (room.tokens.AI) throw fail(409, "That room is full.");
+  room.tokens.AI = randomUUID();
+  advance(room);
+  broadcast(room);
+  return { code: room.code, seat: "AI", token: room.tokens.AI };
+}
+
+// What one seat may see: its own cards, the other hand only as a count until the show, and
+// nothing of the deck beyond its size (for the cut), the seed or the rng state.
+export function seatView(room, seat) {
+  const g = room.game, opp = other(seat);
+  const handOf = (who) => (who === "P" ? g.pHand : g.aiHand);
+  const shown = g.phase === "show" && !!g.showResult;
+  const connected = (who) => [...room.listeners].some(l => l.seat === who);
+  return {
+    code: room.code, seat, rules: g.rules,
+    players: { P: { joined: true, online: connected("P") }, AI: { joined: !!room.tokens.AI, online: connected("AI") } },
+    phase: g.phase, dealer: g.dealer, scores: g.scores, prevScores: g.prevScores,
+    gameOver: g.gameOver, winner: g.winner, result: g.result,
+    hand: handOf(seat), tossed: g.tossed[seat], oppTossed: !!g.tossed[opp],
+    oppCount: handOf(opp).length, oppHand: shown ? handOf(opp) : null,
+    crib: shown ? g.crib : [], starter: g.starter, deckCount: g.deck.length,
+    peg: g.peg && {
+      stack: g.peg.stack, total: g.peg.total, next: g.peg.next,
+      hand: seat === "P" ? g.peg.pHand : g.peg.aiHand, oppCount: (opp === "P" ? g.peg.pHand : g.peg.aiHand).length,
+    },
+    showResult: g.showResult, log: g.log,
+  };
+}
+
+function broadcast(room) {
+  for (const l of room.listeners) l.send(seatView(room, l.seat));
+}
+
+// Steps nobody decides: the deal once both seats are filled, and the show after the pegging.
+function advance(room) {
+  const g = room.game;
+  let next = g;
+  if (g.phase === "deal" && room.tokens.AI) next = gameReducer(g, { type: "deal" });
+  else if (g.phase === "show" && !g.showResult) next = gameReducer(g, { type: "show" });
+  if (next === g) return;
+  room.game = next;
+  advance(room);
+}
+
+export function subscribe(code, token, send) {
+  const room = getRoom(code);
+  const listener = { seat: seatFor(room, token), send };
+  room.listeners.add(listener);
+  room.touched = Date.now();
+  broadcast(room); // the newcomer's first view, and the other seat sees them come online
+  return () => { room.listeners.delete(listener); broadcast(room); };
+}
+
+// The cards in a move come straight from the request body, so each must be one the seat holds
+// before the reducer sees it.
+const holds = (hand, card) => !!card && typeof card === "object" && hand.some(c => cardsEqual(c, card));
+
+function checkCards(g, seat, move) {
+  let ok = true;
+  if (move.type === "discard") {
+    const hand = seat === "P" ? g.pHand : g.aiHand;
+    ok = Array.isArray(move.cards) && move.cards.length === 2 && move.cards.every(c => holds(hand, c))
+      && !cardsEqual(move.cards[0], move.cards[1]);
+  } else if (move.type === "play") {
+    ok = !g.peg || holds(seat === "P" ? g.peg.pHand : g.peg.aiHand, move.card);
+  }
+  if (!ok) throw fail(400, "You do not hold that card.");
+}
+
+// Moves a client may send. Seat-owned moves are stamped with the sender's seat, so nobody can
+// play for the other side; "next" deals the next hand after the show, "rematch" starts a new game.
+export function applyMove(code, token, move) {
+  const room = getRoom(code);
+  const seat = seatFor(room, token);
+  const g = room.game;
+  room.touched = Date.now();
+  if (move) checkCards(g, seat, move);
+  let next;
+  switch (move && move.type) {
+    case "discard": next = gameReducer(g, { type: "discard", who: seat, cards: move.cards }); break;
+    case "play": next = gameReducer(g, { type: "play", who: seat, card: move.card }); break;
+    case "go": next = gameReducer(g, { type: "go", who: seat }); break;
+    case "cut": next = seat === other(g.dealer) ? gameReducer(g, { type: "cut", at: move.at }) : g; break;
+    case "next": next = gameReducer(g, { type: "deal" }); break;
+    case "rematch": next = g.gameOver ? newGame(room, other(g.firstDealer)) : g; break;
+    default: throw fail(400, "Unknown move.");
+  }
+  if (next === g) throw fail(409, "That move is not allowed now.");
+  room.game = next;
+  advance(room);
+  broadcast(room);
+}
@@ -0,0 +1,43 @@
+/** ---------------------- House Rules ---------------------- */
+// One rules object travels with each game (state.rules) and into every scorer and AI evaluator.
+//   house798 / house798Points  bonus for each 7-9-8 triple among the five show cards
+//   cribFourFlush              a four-card flush counts in the crib too
+//   nineteenPoints             a hand or crib with no points pays this ("nineteen"); 0 = off
+//   targetScore                61 or 121
+//   skunkLine / doubleSkunkLine  loser short of these is skunked / double skunked (0 = no double)
+//   fiveCard                   the classic five-card game: 5 dealt, 2 to the crib, one pass of
+//                              pegging with no restart after 31 or a go, 3 to the first pone
+export const RULE_PRESETS = {
+  standard: {
+    preset: "standard", name: "Standard",
+    house798: false, house798Points: 3, cribFourFlush: false, nineteenPoints: 0,
+    targetScore: 121, skunkLine: 91, doubleSkunkLine: 61, fiveCard: false,
+  },
+  house: {
+    preset: "house", name: "Our house",
+    house798: true, house798Points: 3, cribFourFlush: false, nineteenPoints: 0,
+    targetScore: 121, skunkLine: 91, doubleSkunkLine: 61, fiveCard: false,
+  },
+  short: {
+    preset: "short", name: "Sixty-one",
+    house798: false, house798Points: 3, cribFourFlush: false, nineteenPoints: 0,
+    targetScore: 61, skunkLine: 31, doubleSkunkLine: 0, fiveCard: false,
+  },
+  fiveCard: {
+    preset: "fiveCard", name: "Five-card",
+    house798: false, house798Points: 3, cribFourFlush: false, nineteenPoints: 0,
+    targetScore: 61, skunkLine: 31, doubleSkunkLine: 0, fiveCard: true,
+  },
+};
+
+export const DEFAULT_RULES = RULE_PRESETS.house;
+
+export function describeRules(rules) {
+  const parts = [`${rules.name}: to ${rules.targetScore}`];
+  if (rules.fiveCard && rules.preset !== "fiveCard") parts.push("five-card game");
+  if (rules.house798) parts.push(`7-9-8 bonus ${rules.house798Points}`);
+  if (rules.cribFourFlush) parts.push("4-card crib flush");
+  if (rules.nineteenPoints) parts.push(`nineteen pays ${rules.nineteenPoints}`);
+  parts.push(rules.doubleSkunkLine ? `skunk under ${rules.skunkLine}, double under ${rules.doubleSkunkLine}` : `skunk under ${rules.skunkLine}`);
+  return parts.join(" · ");
+}
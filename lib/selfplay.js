@@ -0,0 +1,139 @@
+import { deriveSeed, seededRng, chooseDiscardsAI, aiPeggingMove, legalPlays } from "./cribbage.js";
+import { gameReducer, initGame, pegView, other } from "./gameMachine.js";
+import { AI_LEVELS, AI_PERSONALITIES, DEFAULT_LEVEL } from "./opponents.js";
+import { inEndgame, discardObjective, peggingObjective } from "./position.js";
+import { RULE_PRESETS, DEFAULT_RULES } from "./rules.js";
+
+/** ---------------------- Self-Play ---------------------- */
+// Plays AI configurations against each other headlessly (scripts/selfplay.mjs), with the same
+// evaluators, seeds and position play as the AI worker, to measure whether a change helps.
+// A config is a level plus a personality, each field overridable:
+//   "skilled"                                   a level from lib/opponents.js
+//   "skilled,discardSims=2000"                  with more discard samples
+//   "expert,defensive,cribAgainst=0.8"          a personality, and one of its weights changed
+const LEVEL_KEYS = ["discard", "discardSims", "peg", "pegSims", "position"];
+const STYLE_KEYS = ["cribFor", "cribAgainst", "pegDefense"];
+export const POINT_CATEGORIES = ["peg", "hand", "crib", "heels", "last"];
+
+export function parseConfig(spec) {
+  let plan = { ...AI_LEVELS[DEFAULT_LEVEL] }, style = { ...AI_PERSONALITIES.balanced };
+  for (const part of String(spec).split(",").map(p => p.trim()).filter(Boolean)) {
+    const [key, value] = part.split("=");
+    if (value === undefined) {
+      if (AI_LEVELS[key]) plan = { ...AI_LEVELS[key] };
+      else if (AI_PERSONALITIES[key]) style = { ...AI_PERSONALITIES[key] };
+      else throw new Error(`Unknown level or personality "${key}".`);
+    } else if (LEVEL_KEYS.includes(key) || STYLE_KEYS.includes(key)) {
+      const parsed = key === "discard" || key === "peg" ? value : (key === "position" ? value === "true" : Number(value));
+      if (typeof parsed === "number" && !Number.isFinite(parsed)) throw new Error(`"${part}" needs a number.`);
+      if (LEVEL_KEYS.includes(key)) plan = { ...plan, [key]: parsed }; else style = { ...style, [key]: parsed };
+    } else {
+      throw new Error(`Unknown setting "${key}".`);
+    }
+  }
+  return { spec: String(spec), plan, style };
+}
+
+const now = () => performance.now();
+
+// One game between config a (seat P) and config b (seat AI). Returns the winner's seat, points
+// per deal by category and seat, and the time each decision took.
+export function playGame(seed, configs, rules = DEFAULT_RULES) {
+  let game = initGame(seed, { rules });
+  let moves = 0;
+  const points = { P: {}, AI: {} }, timings = { P: { discard: [], peg: [] }, AI: { discard: [], peg: [] } };
+  let deals = 0;
+  const rngFor = (salt) => seededRng(deriveSeed(seed, moves, salt));
+  const position = (who, plan, extra) => (plan.position && !rules.fiveCard
+    ? { me: game.scores[who], opp: game.scores[other(who)], target: rules.targetScore, isDealer: game.dealer === who, ...extra }
+    : null);
+  const act = (action) => { game = gameReducer(game, action); moves++; };
+  const tally = () => {
+    deals++;
+    for (const who of ["P", "AI"]) {
+      for (const [cat, pts] of Object.entries(game.dealPoints[who])) points[who][cat] = (points[who][cat] || 0) + pts;
+    }
+  };
+
+  while (!game.gameOver) {
+    if (game.phase === "deal") act({ type: "deal" });
+    else if (game.phase === "discard") {
+      const who = !game.tossed.P ? "P" : "AI";
+      const { plan, style } = configs[who];
+      const hand = who === "P" ? game.pHand : game.aiHand;
+      const pos = position(who, plan);
+      const t = now();
+      const { toCrib } = chooseDiscardsAI(hand, [], game.dealer === who, plan.discardSims, rngFor(1), plan.discard, rules, style, pos && inEndgame(pos) ? discardObjective(pos) : null);
+      timings[who].discard.push(now() - t);
+      act({ type: "discard", who, cards: toCrib });
+    } else if (game.phase === "cut") act({ type: "cut" });
+    else if (game.phase === "pegging") {
+      const who = game.peg.next;
+      const view = pegView(game, who);
+      if (legalPlays(view.aiHand, view.total).length === 0) { act({ type: "go", who }); continue; }
+      const { plan, style } = configs[who];
+      const pos = position(who, plan, { keep: who === "P" ? game.pHand : game.aiHand, toss: game.tossed[who], starter: game.starter });
+      const t = now();
+      const { card } = aiPeggingMove(view, plan.pegSims, rngFor(2), plan.peg, style, pos && inEndgame(pos) ? peggingObjective(pos, rules) : null);
+      timings[who].peg.push(now() - t);
+      act({ type: "play", who, card });
+    } else if (!game.showResult) act({ type: "show" });
+    else { tally(); act({ type: "deal" }); }
+  }
+  tally();
+  return { winner: game.winner, result: game.result, deals, points, timings };
+}
+
+// 95% Wilson score interval for k wins in n games.
+export function wilson(k, n, z = 1.96) {
+  if (n === 0) return [0, 1];
+  const p = k / n, d = 1 + z * z / n;
+  const centre = (p + z * z / (2 * n)) / d;
+  const half = (z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n))) / d;
+  return [Math.max(0, centre - half), Math.min(1, centre + half)];
+}
+
+function timingSummary(list) {
+  if (list.length === 0) return { n: 0, mean: 0, p95: 0, max: 0 };
+  const sorted = list.slice().sort((x, y) => x - y);
+  return {
+    n: list.length,
+    mean: list.reduce((s, x) => s + x, 0) / list.length,
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1],
+  };
+}
+
+// games are played in pairs on one seed with the seats swapped, so neither config gets the luckier
+// cards. onGame(done, total) reports progress.
+export function runMatchup({ a, b, games = 200, seed = 1, rules = RULE_PRESETS.standard, onGame = () => {} }) {
+  const total = games + (games % 2);
+  const sides = [a, b].map(config => ({ config, wins: 0, gamePoints: 0, deals: 0, points: {}, discard: [], peg: [] }));
+  for (let i = 0; i < total; i++) {
+    const swap = i % 2 === 1;
+    const seats = swap ? { P: sides[1], AI: sides[0] } : { P: sides[0], AI: sides[1] };
+    const g = playGame(deriveSeed(seed, i >> 1), { P: seats.P.config, AI: seats.AI.config }, rules);
+    for (const who of ["P", "AI"]) {
+      const side = seats[who];
+      side.deals += g.deals;
+      for (const [cat, pts] of Object.entries(g.points[who])) side.points[cat] = (side.points[cat] || 0) + pts;
+      side.discard.push(...g.timings[who].discard);
+      side.peg.push(...g.timings[who].peg);
+    }
+    seats[g.winner].wins++;
+    seats[g.winner].gamePoints += g.result.kind === "double" ? 3 : (g.result.kind === "skunk" ? 2 : 1);
+    onGame(i + 1, total);
+  }
+  return {
+    games: total, seed, rules: rules.preset,
+    sides: sides.map(s => ({
+      spec: s.config.spec,
+      wins: s.wins,
+      winRate: s.wins / total,
+      interval: wilson(s.wins, total),
+      gamePoints: s.gamePoints,
+      perDeal: Object.fromEntries(POINT_CATEGORIES.map(cat => [cat, (s.points[cat] || 0) / s.deals])),
+      timings: { discard: timingSummary(s.discard), peg: timingSummary(s.peg) },
+    })),
+  };
+}
@@ -0,0 +1,150 @@
+import { RULE_PRESETS } from "./rules.js";
+
+/** ---------------------- Persistence (localStorage) ---------------------- */
+// Both records carry a version. When rules or state shape change, bump the version and add a
+// step to the matching MIGRATIONS table: { [fromVersion]: (data) => dataAtFromVersionPlusOne }.
+// Anything newer than we understand, or without a migration path, is dropped.
+export const SAVE_VERSION = 5;
+export const STATS_VERSION = 1;
+export const TRAINER_VERSION = 1;
+const SAVE_KEY = "cribbage.save";
+const STATS_KEY = "cribbage.stats";
+const ARCHIVE_KEY = "cribbage.archive";
+const ROOMS_KEY = "cribbage.rooms";
+const PUZZLES_KEY = "cribbage.puzzles";
+const TRAINER_KEY = "cribbage.trainer";
+
+const SAVE_MIGRATIONS = {
+  // v1 games were played under the then hard-coded house rules.
+  1: (d) => ({
+    ...d, version: 2,
+    game: { ...d.game, rules: RULE_PRESETS.house },
+    settings: { ...d.settings, rules: RULE_PRESETS.house },
+  }),
+  // v2 had only the sim sliders, which are now the "custom" AI level.
+  2: (d) => ({ ...d, version: 3, settings: { ...d.settings, aiLevel: "custom", personality: "balanced" } }),
+  3: (d) => ({ ...d, version: 4, settings: { ...d.settings, animSpeed: "normal" } }),
+  4: (d) => ({ ...d, version: 5, settings: { ...d.settings, theme: "standard" } }),
+};
+const STATS_MIGRATIONS = {};
+const TRAINER_MIGRATIONS = {};
+
+function read(key) {
+  try {
+    const raw = typeof window !== "undefined" && window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function write(key, data) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(data));
+  } catch (e) {
+    // Storage full or disabled: the game carries on unsaved.
+  }
+}
+
+function migrate(data, version, migrations) {
+  if (!data || typeof data.version !== "number" || data.version > version) return null;
+  let d = data;
+  while (d.version < version) {
+    const step = migrations[d.version];
+    if (!step) return null;
+    d = step(d);
+  }
+  return d;
+}
+
+export function loadSave() { return migrate(read(SAVE_KEY), SAVE_VERSION, SAVE_MIGRATIONS); }
+export function writeSave(save) { write(SAVE_KEY, { ...save, version: SAVE_VERSION }); }
+
+/** ---------------------- Finished Games ---------------------- */
+// The last few finished games as records (lib/record.js), newest first, for the replay viewer.
+// Records carry their own format version, checked when one is opened.
+const ARCHIVE_SIZE = 20;
+const archiveKey = (rec) => `${rec.seed}:${rec.firstDealer}`;
+
+export function loadArchive() { const a = read(ARCHIVE_KEY); return Array.isArray(a) ? a : []; }
+
+export function archiveRecord(record) {
+  const rest = loadArchive().filter(r => archiveKey(r) !== archiveKey(record));
+  write(ARCHIVE_KEY, [record, ...rest].slice(0, ARCHIVE_SIZE));
+}
+
+/** ---------------------- Saved Puzzles ---------------------- */
+// Pegging puzzles built in the editor (lib/puzzles.js), newest first, one per title. Like records,
+// each carries its own format version, checked when it is opened.
+export function loadPuzzles() { const a = read(PUZZLES_KEY); return Array.isArray(a) ? a : []; }
+
+export function savePuzzle(puzzle) {
+  write(PUZZLES_KEY, [puzzle, ...loadPuzzles().filter(p => p.title !== puzzle.title)]);
+}
+
+export function deletePuzzle(title) { write(PUZZLES_KEY, loadPuzzles().filter(p => p.title !== title)); }
+
+/** ---------------------- Online Seats ---------------------- */
+// Seat tokens for online rooms by room code, so a reload or a dropped connection takes the same seat.
+export function roomToken(code) { const t = read(ROOMS_KEY); return (t && t[code]) || null; }
+
+export function rememberRoom(code, token) { write(ROOMS_KEY, { ...read(ROOMS_KEY), [code]: token }); }
+
+/** ---------------------- Lifetime Statistics ---------------------- */
+export function emptyStats() {
+  return {
+    version: STATS_VERSION,
+    gamesWon: 0, gamesLost: 0, skunksGiven: 0, skunksTaken: 0, doubleSkunksGiven: 0, doubleSkunksTaken: 0,
+    deals: 0, handPoints: 0, cribs: 0, cribPoints: 0, peggingPoints: 0,
+    highestHand: 0, twentyNines: 0,
+    lastDeal: null, lastGame: null, // keys of what was last counted, so a restored page doesn't count twice
+  };
+}
+
+export function loadStats() { return migrate(read(STATS_KEY), STATS_VERSION, STATS_MIGRATIONS) || emptyStats(); }
+export function writeStats(stats) { write(STATS_KEY, { ...stats, version: STATS_VERSION }); }
+
+// One finished deal for P: points by category; 29s are counted for any hand or crib on the table.
+// When P counts their own hands (countOwn), the hand and crib points are what the claims scored
+// after muggins, taken from dealPoints, rather than what the cards held.
+export function recordDeal(stats, key, dealPoints, showResult, countOwn = false) {
+  if (stats.lastDeal === key) return stats;
+  const s = { ...stats, lastDeal: key, deals: stats.deals + 1, peggingPoints: stats.peggingPoints + (dealPoints.peg || 0) };
+  if (!showResult) return s;
+  const sections = [showResult.pone, showResult.dealer, showResult.crib];
+  const mine = sections.find(sec => sec.key !== "crib" && sec.who === "P");
+  const hand = countOwn ? dealPoints.hand || 0 : mine.total;
+  s.handPoints += hand;
+  s.highestHand = Math.max(s.highestHand, hand);
+  if (showResult.crib.who === "P") { s.cribs += 1; s.cribPoints += countOwn ? dealPoints.crib || 0 : showResult.crib.total; }
+  s.twentyNines += sections.filter(sec => sec.total === 29).length;
+  return s;
+}
+
+export function recordGameResult(stats, key, result) {
+  if (stats.lastGame === key) return stats;
+  const won = result.winner === "P";
+  return {
+    ...stats,
+    lastGame: key,
+    gamesWon: stats.gamesWon + (won ? 1 : 0),
+    gamesLost: stats.gamesLost + (won ? 0 : 1),
+    skunksGiven: stats.skunksGiven + (won && result.kind === "skunk" ? 1 : 0),
+    skunksTaken: stats.skunksTaken + (!won && result.kind === "skunk" ? 1 : 0),
+    doubleSkunksGiven: stats.doubleSkunksGiven + (won && result.kind === "double" ? 1 : 0),
+    doubleSkunksTaken: stats.doubleSkunksTaken + (!won && result.kind === "double" ? 1 : 0),
+  };
+}
+
+/** ---------------------- Counting Trainer ---------------------- */
+// Every counted hand, newest last: { at, drill, isCrib, byCategory, correct, ms, missed }.
+// missed lists the categories miscounted when the player counted by category.
+const TRAINER_HISTORY = 500;
+
+export const emptyTrainer = () => ({ attempts: [] });
+export function loadTrainer() { return migrate(read(TRAINER_KEY), TRAINER_VERSION, TRAINER_MIGRATIONS) || emptyTrainer(); }
+export function writeTrainer(trainer) { write(TRAINER_KEY, { ...trainer, version: TRAINER_VERSION }); }
+
+export function recordAttempt(trainer, attempt) {
+  return { ...trainer, attempts: trainer.attempts.concat([attempt]).slice(-TRAINER_HISTORY) };
+}
@@ -0,0 +1,63 @@
+import { makeDeck, shuffle, seededRng, deriveSeed, count15, countPairs, countRuns, flushPoints, knobsPoints, hull798Bonus } from "./cribbage.js";
+
+/** ---------------------- Counting Trainer ---------------------- */
+// Practice hands for pages/trainer.js: dealt from the seeded RNG (hand n of a session comes from
+// deriveSeed(session seed, n), so a session can be repeated) and scored category by category with
+// the same functions as the show.
+//   crib     how often the hand is a crib (four-card flushes need the starter)
+//   accept   which deals the drill keeps, from the breakdown of the five cards
+//   rules    rule changes the drill needs on top of the table's rules
+export const DRILLS = {
+  any: { drill: "any", name: "Hands and cribs", crib: 0.25, accept: () => true },
+  hands: { drill: "hands", name: "Hands only", crib: 0, accept: () => true },
+  crib: { drill: "crib", name: "Crib hands only", crib: 1, accept: () => true },
+  runsPairs: { drill: "runsPairs", name: "Hands with runs and pairs", crib: 0.25, accept: (b) => b.runs > 0 && b.pairs > 0 },
+  house798: { drill: "house798", name: "Hands with a 7-9-8", crib: 0.25, accept: (b) => b.house798 > 0, rules: { house798: true } },
+};
+
+export const CATEGORIES = [
+  { key: "fifteens", name: "Fifteens" },
+  { key: "pairs", name: "Pairs" },
+  { key: "runs", name: "Runs" },
+  { key: "flush", name: "Flush" },
+  { key: "nobs", name: "His nobs" },
+  { key: "house798", name: "7-9-8 bonus" },
+  { key: "nineteen", name: "Nineteen" },
+];
+
+// Points by category; adds up to handPoints for the same cards.
+export function scoreByCategory(hand, starter, isCrib, rules) {
+  const all = hand.concat([starter]);
+  const b = {
+    fifteens: count15(all), pairs: countPairs(all), runs: countRuns(all),
+    flush: flushPoints(hand, starter, isCrib, rules), nobs: knobsPoints(hand, starter), house798: hull798Bonus(all, rules), nineteen: 0,
+  };
+  const total = Object.values(b).reduce((a, x) => a + x, 0);
+  if (total === 0) b.nineteen = rules.nineteenPoints;
+  return { ...b, total: total || rules.nineteenPoints };
+}
+
+export function drillRules(drill, rules) {
+  return { ...rules, ...DRILLS[drill].rules };
+}
+
+// Hand n of a session: { hand, starter, isCrib, rules, breakdown }. Drills that want particular
+// hands redeal until one turns up (a 7-9-8 is in about one deal in twenty).
+export function dealDrill(seed, n, drill, tableRules) {
+  const d = DRILLS[drill], rules = drillRules(drill, tableRules);
+  const rng = seededRng(deriveSeed(seed, n));
+  const isCrib = rng() < d.crib;
+  const size = isCrib || !rules.fiveCard ? 4 : 3;
+  for (let tries = 0; ; tries++) {
+    const deck = shuffle(makeDeck(), rng);
+    const hand = deck.slice(0, size), starter = deck[size];
+    const breakdown = scoreByCategory(hand, starter, isCrib, rules);
+    if (d.accept(breakdown) || tries >= 1000) return { hand, starter, isCrib, rules, breakdown };
+  }
+}
+
+// Categories the player got wrong, when they counted by category; with only a total there is
+// nothing to compare but the sum.
+export function missedCategories(breakdown, answers) {
+  return CATEGORIES.filter(c => (answers[c.key] || 0) !== breakdown[c.key]).map(c => c.key);
+}
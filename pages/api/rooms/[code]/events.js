@@ -0,0 +1,22 @@
+import { getRoom, seatFor, subscribe } from "../../../../lib/rooms";
+
+// GET ?token=… opens a server-sent event stream of this seat's view: once on connect, then after
+// every change to the room. EventSource reconnects by itself, and the token resumes the seat.
+const KEEPALIVE_MS = 25000;
+
+export default function handler(req, res) {
+  const { code, token } = req.query;
+  try {
+    seatFor(getRoom(code), token);
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+  // "Content-Encoding: none" keeps the server's gzip from buffering the stream.
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache, no-transform", Connection: "keep-alive", "Content-Encoding": "none" });
+  const unsubscribe = subscribe(code, token, (view) => res.write(`data: ${JSON.stringify(view)}\n\n`));
+  const ping = setInterval(() => res.write(": ping\n\n"), KEEPALIVE_MS);
+  req.on("close", () => { clearInterval(ping); unsubscribe(); });
+}
+
+// The response never ends; tell Next not to wait for it.
+export const config = { api: { responseLimit: false, externalResolver: true } };
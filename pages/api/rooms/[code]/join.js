@@ -0,0 +1,11 @@
+import { joinRoom } from "../../../../lib/rooms";
+
+// POST { token? } → { code, seat, token }. A token the room already knows takes its seat back.
+export default function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Use POST." });
+  try {
+    res.status(200).json(joinRoom(req.query.code, req.body && req.body.token));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,13 @@
+import { applyMove } from "../../../../lib/rooms";
+
+// POST { token, move }. The new views go out over the event streams, not in this reply.
+export default function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Use POST." });
+  const { token, move } = req.body || {};
+  try {
+    applyMove(req.query.code, token, move);
+    res.status(204).end();
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+}
@@ -0,0 +1,11 @@
+import { createRoom } from "../../../lib/rooms";
+
+// POST { rules } → { code, seat, token } for the player who opens the room.
+export default function handler(req, res) {
+  if (req.method !== "POST") return res.status(405).json({ error: "Use POST." });
+  try {
+    res.status(200).json(createRoom((req.body && req.body.rules) ?? undefined));
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.message });
+  }
+}
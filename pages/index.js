@@ -1,724 +1,802 @@
 
-import { useMemo, useState, useEffect } from "react";
-
-/** ---------------------- Utilities & Types ---------------------- */
-const SUITS = ["♣", "♦", "♥", "♠"];
-const RANKS = [1,2,3,4,5,6,7,8,9,10,11,12,13]; // 1=A, 11=J,12=Q,13=K
-
-const rankLabel = (r) => r === 1 ? "A" : r === 11 ? "J" : r === 12 ? "Q" : r === 13 ? "K" : String(r);
-const cardToString = (c) => `${rankLabel(c.r)}${c.s}`;
-const cardValue15 = (r) => (r > 10 ? 10 : r);
-
-function makeDeck() {
-  const d = [];
-  for (const s of SUITS) for (const r of RANKS) d.push({ r, s });
-  return d;
-}
-
-function shuffle(arr, rng) { // Fisher-Yates
-  const a = arr.slice();
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
-function seededRng(seed) { // Mulberry32
-  return function() {
-    let t = seed += 0x6D2B79F5;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-/** ---------------------- Combinatorics & Scoring ---------------------- */
-function combos(arr) {
-  const res = [];
-  const n = arr.length;
-  for (let mask = 1; mask < (1 << n); mask++) {
-    const subset = [];
-    for (let i = 0; i < n; i++) if (mask & (1 << i)) subset.push(arr[i]);
-    res.push(subset);
-  }
-  return res;
-}
-
-function count15(cards) {
-  let pts = 0;
-  for (const subset of combos(cards)) {
-    const sum = subset.reduce((a, c) => a + cardValue15(c.r), 0);
-    if (sum === 15) pts += 2;
-  }
-  return pts;
-}
-
-function countPairs(cards) {
-  let pts = 0;
-  const ranks = {};
-  for (const c of cards) ranks[c.r] = (ranks[c.r] || 0) + 1;
-  for (const k in ranks) {
-    const n = ranks[k];
-    if (n >= 2) pts += (n * (n - 1)) / 2 * 2; // each pair 2 points
-  }
-  return pts;
-}
-
-function countRuns(cards) {
-  // Runs anywhere (hand/crib scoring). Accounts for duplicates correctly.
-  const byRank = {};
-  for (const c of cards) byRank[c.r] = (byRank[c.r] || 0) + 1;
-  const unique = Object.keys(byRank).map(Number).sort((a,b)=>a-b);
-  let bestLen = 0, total = 0, i = 0;
-  while (i < unique.length) {
-    let j = i;
-    while (j + 1 < unique.length && unique[j + 1] === unique[j] + 1) j++;
-    const runLen = j - i + 1;
-    if (runLen >= 3) {
-      const mult = unique.slice(i, j + 1).reduce((m, r) => m * byRank[r], 1);
-      if (runLen > bestLen) { bestLen = runLen; total = runLen * mult; }
-      else if (runLen === bestLen) total += runLen * mult;
-    }
-    i = j + 1;
+import { useState, useEffect, useRef, useReducer, useMemo } from "react";
+import Link from "next/link";
+import { cardToString, legalPlays, cardsEqual, deriveSeed, seededRng, dailySeed, dailyKey } from "../lib/cribbage";
+import { gameReducer, initGame, pegView, cutRange } from "../lib/gameMachine";
+import { initMatch, recordGame, matchStanding, nextFirstDealer, nextGameSeed, describeFormat } from "../lib/match";
+import { RULE_PRESETS, DEFAULT_RULES, describeRules } from "../lib/rules";
+import { AI_LEVELS, AI_PERSONALITIES, DEFAULT_LEVEL, customLevel, describeOpponent } from "../lib/opponents";
+import { loadSave, writeSave, loadStats, writeStats, emptyStats, recordDeal, recordGameResult, archiveRecord } from "../lib/storage";
+import { buildRecord, gameOpts, walkGame } from "../lib/record";
+import { dealDecisions, describeReview, emptyAccuracy, addReviews, isAccurate } from "../lib/analysis";
+import { ANIMATION_SPEEDS, DEFAULT_SPEED, animationTimes, animationMs, actionCallouts } from "../lib/animation";
+import { announceAction } from "../lib/announce";
+import { CribbageBoard } from "../components/CribbageBoard";
+import { CardView, HandRow, CutDeck } from "../components/Cards";
+import { ShowPanel } from "../components/ShowPanel";
+import { THEMES, DEFAULT_THEME, ThemeProvider } from "../components/Theme";
+
+/** ---------------------- AI Worker Bridge ---------------------- */
+// Runs AI searches in lib/ai.worker.js. cancel() terminates the worker (dropping whatever it was
+// computing) and starts a fresh one; requests in flight simply never resolve.
+function useAiWorker() {
+  const workerRef = useRef(null);
+  const pendingRef = useRef(new Map());
+  const nextIdRef = useRef(1);
+
+  function start() {
+    const w = new Worker(new URL("../lib/ai.worker.js", import.meta.url));
+    w.onmessage = (e) => {
+      const { id, result } = e.data;
+      const resolve = pendingRef.current.get(id);
+      pendingRef.current.delete(id);
+      if (resolve) resolve(result);
+    };
+    workerRef.current = w;
   }
-  return total;
-}
-
-function flushPoints(hand, starter, isCrib) {
-  const suits = hand.map(c=>c.s);
-  const allSame = suits.every(s => s === suits[0]);
-  if (!allSame) return 0;
-  if (starter && starter.s === suits[0]) return 5;
-  return isCrib ? 0 : 4;
-}
-
-function knobsPoints(hand, starter) {
-  if (!starter) return 0;
-  return hand.some(c => c.r === 11 && c.s === starter.s) ? 1 : 0;
-}
-
-// House rule: +3 for each distinct 7-9-8 triple in the five cards
-const HOUSE_798 = true;
-function hull798Bonus(allFive){
-  if (!HOUSE_798) return 0;
-  const cnt = {7:0,8:0,9:0};
-  for (const c of allFive) if (cnt.hasOwnProperty(c.r)) cnt[c.r]++;
-  return 3 * (cnt[7] * cnt[8] * cnt[9]);
-}
 
-function handPoints(hand4, starter, isCrib) {
-  const all = hand4.concat([starter]);
-  return count15(all) + countPairs(all) + countRuns(all) + flushPoints(hand4, starter, isCrib) + knobsPoints(hand4, starter) + hull798Bonus(all);
-}
+  useEffect(()=>{
+    start();
+    return () => workerRef.current && workerRef.current.terminate();
+  }, []);
 
-/** ---------------------- Pegging Logic ---------------------- */
-function legalPlays(hand, total) {
-  return hand.filter(c => total + cardValue15(c.r) <= 31);
-}
-
-function isPairRunPoints(stack, nextCard) {
-  const seq = stack.concat([nextCard]);
-  let pts = 0;
-
-  // Pairs/trips/quads at end
-  let k = seq.length - 1, same = 1;
-  while (k - 1 >= 0 && seq[k - 1].r === seq[k].r) { same++; k--; }
-  if (same === 2) pts += 2; else if (same === 3) pts += 6; else if (same === 4) pts += 12;
-
-  // Runs: check longest tail length 3..N (any order in tail)
-  for (let l = Math.min(7, seq.length); l >= 3; l--) {
-    const tail = seq.slice(seq.length - l);
-    const ranks = tail.map(c=>c.r).sort((a,b)=>a-b);
-    let run = true;
-    for (let i=1;i<ranks.length;i++) if (ranks[i] !== ranks[i-1] + 1) { run = false; break; }
-    if (run) { pts += l; break; }
-  }
-  return pts;
-}
-
-function applyPlay(state, card, who) {
-  const newTotal = state.total + cardValue15(card.r);
-  const points15or31 = (newTotal === 15 ? 2 : 0) + (newTotal === 31 ? 2 : 0);
-  const pairRun = isPairRunPoints(state.stack, card);
-  const points = points15or31 + pairRun;
-  const thirtyOne = newTotal === 31;
   return {
-    ...state,
-    stack: state.stack.concat([card]),
-    total: newTotal,
-    pHand: who === "P" ? state.pHand.filter(c=>c!==card) : state.pHand,
-    aiHand: who === "AI" ? state.aiHand.filter(c=>c!==card) : state.aiHand,
-    next: who === "P" ? "AI" : "P",
-    pPassed: false,
-    aiPassed: false,
-    points,
-    thirtyOne,
+    request(type, payload) {
+      const id = nextIdRef.current++;
+      return new Promise(resolve => {
+        pendingRef.current.set(id, resolve);
+        workerRef.current.postMessage({ id, type, payload });
+      });
+    },
+    cancel() {
+      pendingRef.current.clear();
+      if (workerRef.current) workerRef.current.terminate();
+      start();
+    },
   };
 }
 
-/** ---------------------- AI (Optimal given seen info) ---------------------- */
-function cardsEqual(a,b){ return a.r===b.r && a.s===b.s; }
-function minus(set, rem){ return set.filter(c => !rem.some(r => cardsEqual(r, c))); }
-
-function chooseDiscardsAI(aiHand6, seen, isDealer, sims, rng) {
-  const all6 = aiHand6.slice();
-  const choices = [];
-  for (let i=0;i<6;i++) for (let j=i+1;j<6;j++) choices.push([all6[i], all6[j]]);
-  const deck = minus(makeDeck(), seen.concat(all6));
-
-  let bestScore = -1e9, best = { keep: all6.slice(0,4), toCrib: all6.slice(4) };
-
-  for (const toss of choices) {
-    const keep = minus(all6, toss);
-    let sum = 0;
-    for (let s=0; s<sims; s++) {
-      const d = shuffle(deck, rng);
-      const starter = d[0];
-      const handPts = handPoints(keep, starter, false);
-      const oppTwo = [d[1], d[2]];
-      const cribCards = isDealer ? toss.concat(oppTwo) : oppTwo.concat(toss);
-      const cribPts = handPoints(cribCards.slice(0,4), starter, true);
-      sum += handPts + (isDealer ? cribPts : -cribPts * 0.9);
-    }
-    const ev = sum / sims;
-    if (ev > bestScore) { bestScore = ev; best = { keep, toCrib: toss }; }
-  }
-  return best;
-}
-
-function aiPeggingMove(state, sims, rng) {
-  const legal = legalPlays(state.aiHand, state.total);
-  if (legal.length === 0) return { card: null, expected: 0 };
-
-  const seenNow = state.seen.concat(state.stack);
-  const maskedUnseen = minus(makeDeck(), seenNow.concat(state.aiHand));
-
-  function rollout(play) {
-    let totalScore = 0;
-    for (let s=0; s<sims; s++) {
-      const d = shuffle(maskedUnseen, rng);
-      const oppCount = state.pHand.length;
-      const oppSample = d.slice(0, oppCount);
-
-      let turn = "P"; // after AI plays
-      let total = state.total + cardValue15(play.r);
-      let stack = state.stack.concat([play]);
-      let aiRem = state.aiHand.filter(c=>c!==play);
-      let pOptions = oppSample.slice();
-      let aiPts = (total === 15 ? 2 : 0) + (total === 31 ? 2 : 0) + isPairRunPoints(state.stack, play);
-      let pPassed = false, aiPassed = false;
-      let lastMover = "AI";
-
-      if (total === 31) { totalScore += aiPts + 1; continue; }
-
-      while (true) {
-        if (turn === "P") {
-          const pLegal = pOptions.filter(c => total + cardValue15(c.r) <= 31);
-          if (pLegal.length === 0) {
-            if (aiPassed) { if (lastMover === "AI") aiPts += 1; break; }
-            pPassed = true; turn = "AI"; continue;
-          } else {
-            pPassed = false;
-            // opponent chooses max immediate points
-            let best = null, bestPts = -1;
-            for (const c of pLegal) {
-              const t2 = total + cardValue15(c.r);
-              const pts = (t2 === 15 ? 2 : 0) + (t2 === 31 ? 2 : 0) + isPairRunPoints(stack, c);
-              if (pts > bestPts) { bestPts = pts; best = c; }
-            }
-            const playC = best;
-            total += cardValue15(playC.r);
-            aiPts -= bestPts;
-            stack = stack.concat([playC]);
-            pOptions = pOptions.filter(c=>c!==playC);
-            lastMover = "P";
-            if (total === 31) { break; }
-            turn = "AI";
-          }
-        } else {
-          const aiLegal = aiRem.filter(c => total + cardValue15(c.r) <= 31);
-          if (aiLegal.length === 0) {
-            if (pPassed) { if (lastMover === "AI") aiPts += 1; break; }
-            aiPassed = true; turn = "P"; continue;
-          } else {
-            aiPassed = false;
-            let best = null, bestPts = -1, bestTotal = 0;
-            for (const c of aiLegal) {
-              const t2 = total + cardValue15(c.r);
-              const pts = (t2 === 15 ? 2 : 0) + (t2 === 31 ? 2 : 0) + isPairRunPoints(stack, c);
-              if (pts > bestPts || (pts === bestPts && t2 > bestTotal)) { bestPts = pts; best = c; bestTotal = t2; }
-            }
-            const play2 = best;
-            total += cardValue15(play2.r);
-            aiPts += bestPts;
-            stack = stack.concat([play2]);
-            aiRem = aiRem.filter(c=>c!==play2);
-            lastMover = "AI";
-            if (total === 31) { break; }
-            turn = "P";
-          }
-        }
-      }
-      totalScore += aiPts;
-    }
-    return totalScore / sims;
-  }
+// Worker results are structured clones; map them back onto the hand's own card objects.
+const ownCards = (hand, cards) => cards.map(c => hand.find(h => cardsEqual(h, c)));
 
-  let best = null, bestEV = -1e9;
-  for (const c of legal) {
-    const ev = rollout(c);
-    if (ev > bestEV) { bestEV = ev; best = c; }
-  }
-  return { card: best, expected: bestEV };
+/** ---------------------- Game State Hook ---------------------- */
+const randomSeed = () => Math.floor(Math.random() * 1e9);
+const parseSeed = (v) => (v && /^\d+$/.test(v.trim()) ? parseInt(v.trim(), 10) >>> 0 : null);
+
+// Thin wrapper over lib/gameMachine: React holds the reducer state and the recorded action list,
+// the effects below only feed AI decisions and timed transitions back in as actions.
+function recordingReducer(rec, action) {
+  if (action.type === "newGame") return { game: initGame(action.seed, action.opts), actions: [] };
+  if (action.type === "restore") return action.rec;
+  const game = gameReducer(rec.game, action);
+  return game === rec.game ? rec : { game, actions: rec.actions.concat([action]) };
 }
 
-/** ---------------------- Game State Hook ---------------------- */
 function useCribbageGame() {
-  const [seed, setSeed] = useState(()=>Math.floor(Math.random()*1e9));
-  const rng = useMemo(()=>seededRng(seed), [seed]);
-
-  const [dealer, setDealer] = useState(Math.random()<0.5 ? "AI" : "P");
-  const [deck, setDeck] = useState(()=>shuffle(makeDeck(), rng));
-  const [pHand, setPHand] = useState([]);
-  const [aiHand, setAIHand] = useState([]);
-  const [crib, setCrib] = useState([]); // AI's two + player's two
-  const [starter, setStarter] = useState(null);
-  const [phase, setPhase] = useState("deal");
-  const [scores, setScores] = useState({ P: 0, AI: 0 });
-  const [prevScores, setPrevScores] = useState({ P: 0, AI: 0 });
-  const [log, setLog] = useState([]);
-  const [peg, setPeg] = useState(null);
+  const [firstSeed] = useState(randomSeed);
+  const ai = useAiWorker();
+  // AI sampling seeds come from the game seed and the move number, so the same seed and the same
+  // player moves always get the same AI replies.
+  const aiSeed = (salt) => deriveSeed(game.seed, actions.length, salt);
+
+  const [{ game, actions }, dispatch] = useReducer(recordingReducer, firstSeed, (sd) => ({ game: initGame(sd), actions: [] }));
   const [mcDiscard, setMcDiscard] = useState(400);
   const [mcPeg, setMcPeg] = useState(180);
+  const [discardMode, setDiscardMode] = useState("mc"); // "mc" sampled, "exact" enumerated
+  const [aiLevel, setAiLevel] = useState(DEFAULT_LEVEL); // a key of AI_LEVELS, or "custom" for the sliders above
+  const [personality, setPersonality] = useState("balanced");
   const [showHands, setShowHands] = useState(false);
   const [aiBusy, setAiBusy] = useState(false);
-  const [gameOver, setGameOver] = useState(false);
-  const [winner, setWinner] = useState(null);
-
-  function addScore(who, delta) {
-    if (delta <= 0 || gameOver) return;
-    setScores(s => {
-      const nextVal = Math.min(120, s[who] + delta);
-      const next = { ...s, [who]: nextVal };
-      setPrevScores(s);
-      if (!gameOver && nextVal >= 120) { setGameOver(true); setWinner(who); }
-      return next;
-    });
-  }
-
-  function logLine(s){ setLog(l=>[s, ...l].slice(0,300)); }
+  const [advisorOn, setAdvisorOn] = useState(false);
+  const [advice, setAdvice] = useState(null); // { rows, isDealer, mode, chosen } for P's dealt hand (six cards, five in the five-card game)
+  const [lastShow, setLastShow] = useState(null);
+  const [review, setReview] = useState(null); // { key, items }: P's decisions in the last finished deal
+  const [accuracy, setAccuracy] = useState(emptyAccuracy); // this session's reviews, summed
+  const [match, setMatch] = useState(() => initMatch("single", 1, firstSeed));
+  const [stats, setStats] = useState(null); // null until loaded from storage after mount
+  const [tableRules, setTableRules] = useState(DEFAULT_RULES); // what the next game is played under
+  const [viewer, setViewer] = useState(null); // hot-seat: the seat whose hand is on screen
+  const [hint, setHint] = useState(null); // hot-seat: { at: move number, text } from the AI
+  const [animSpeed, setAnimSpeed] = useState(DEFAULT_SPEED);
+  const [animating, setAnimating] = useState(false); // the table is still animating the last move
+  const [callouts, setCallouts] = useState(null); // { at: move number, lines } for the last play
+  const [announcement, setAnnouncement] = useState(null); // { at: move number, text } for screen readers
+  const [theme, setTheme] = useState(DEFAULT_THEME);
+  const times = useMemo(() => animationTimes(animSpeed), [animSpeed]);
+  const lastMoveRef = useRef({ game, moves: 0 });
+
+  const { phase, peg, dealer, gameOver, showResult } = game;
+  const hotseat = !!game.options.hotseat;
+  // The seat that has to decide next, if a hand is involved. In hot-seat play a different seat
+  // means the device changes hands first, behind the pass screen.
+  const actor = phase === "discard" ? (!game.tossed.P ? "P" : (!game.tossed.AI ? "AI" : null))
+    : phase === "cut" ? (dealer === "P" ? "AI" : "P")
+    : (phase === "pegging" && !gameOver ? peg.next : null);
+  const seat = hotseat ? viewer : "P";
+  const names = hotseat ? { P: "Player 1", AI: "Player 2" } : { P: "You", AI: "AI" };
+  const aiPlan = aiLevel === "custom" ? customLevel(discardMode, mcDiscard, mcPeg) : AI_LEVELS[aiLevel];
+  const aiStyle = AI_PERSONALITIES[personality];
+  // Score position for position-aware levels, from the AI's side of the board. The win model in
+  // lib/position.js is fitted to the six-card game, so five-card games leave it out.
+  const aiPosition = (extra) => (aiPlan.position && !game.rules.fiveCard
+    ? { me: game.scores.AI, opp: game.scores.P, target: game.rules.targetScore, isDealer: dealer === "AI", ...extra }
+    : null);
 
   function redeal() {
-    const d = shuffle(makeDeck(), rng);
-    setDeck(d); setPHand([]); setAIHand([]); setCrib([]); setStarter(null);
-    setPhase("deal");
-  }
-
-  function deal() {
-    let d = deck.slice();
-    const p = [], a = [];
-    for (let i=0;i<6;i++) { a.push(d.pop()); p.push(d.pop()); }
-    setDeck(d); setPHand(p); setAIHand(a); setCrib([]); setPhase("discard");
-    logLine(`Dealt hands. ${dealer} is dealer.`);
+    ai.cancel(); setAiBusy(false); setAdvice(null);
+    dispatch({ type: "deal", redeal: true });
   }
 
   function aiChooseDiscards() {
-    const seen = [];
-    const { keep, toCrib } = chooseDiscardsAI(aiHand, seen, dealer === "AI", mcDiscard, rng);
-    setAIHand(keep);
-    setCrib(c => c.concat(toCrib));
-    logLine(`AI discards ${toCrib.map(cardToString).join(" ")}`);
-  }
-
-  function cutStarter() {
-    const d = deck.slice();
-    const cut = d.pop();
-    setStarter(cut); setDeck(d);
-    if (cut.r === 11) { addScore(dealer, 2); logLine(`${dealer} scores 2 for his heels (Jack cut).`); }
-    const seen = crib.concat([cut]);
-    const pState = {
-      stack: [], total: 0, pHand: pHand, aiHand: aiHand, seen, starter: cut,
-      next: dealer === "AI" ? "P" : "AI", pPassed: false, aiPassed: false,
-    };
-    setPeg(pState); setPhase("pegging");
+    const hand = game.aiHand;
+    setAiBusy(true);
+    ai.request("discard", { hand, seen: [], isDealer: dealer === "AI", sims: aiPlan.discardSims, mode: aiPlan.discard, rules: game.rules, style: aiStyle, position: aiPosition(), seed: aiSeed(1) })
+      .then(({ toCrib }) => {
+        dispatch({ type: "discard", who: "AI", cards: toCrib });
+        setAiBusy(false);
+      });
   }
 
-  function endPeggingAndScoreHands(finalPeg) {
-    if (finalPeg.total > 0 && finalPeg.total < 31 && (finalPeg.pPassed || finalPeg.aiPassed)) {
-      const last = finalPeg.pPassed ? "AI" : "P";
-      addScore(last, 1);
-      logLine(`${last} scores 1 for last card.`);
-    }
-    setPhase("show");
-    const pone = dealer === "AI" ? "P" : "AI";
-    const poneHand = pone === "P" ? pHand : aiHand;
-    const dealerHand = dealer === "P" ? pHand : aiHand;
-    const st = starter;
-    const ponePts = handPoints(poneHand, st, false);
-    const dealerPts = handPoints(dealerHand, st, false);
-    const cribPts = handPoints(crib, st, true);
-
-    addScore(pone, ponePts);
-    addScore(dealer, dealerPts);
-    addScore(dealer, cribPts);
-
-    logLine(`Crib (${dealer}): ${crib.map(cardToString).join(" ")} + ${cardToString(st)} = ${cribPts}`);
-    logLine(`${dealer} hand: ${dealerHand.map(cardToString).join(" ")} + ${cardToString(st)} = ${dealerPts}`);
-    logLine(`${pone} hand: ${poneHand.map(cardToString).join(" ")} + ${cardToString(st)} = ${ponePts}`);
-
-    setTimeout(()=>{
-      if (!gameOver) { setDealer(d => d === "AI" ? "P" : "AI"); redeal(); }
-    }, 2000);
+  function aiTakePegTurn() {
+    if (legalPlays(peg.aiHand, peg.total).length === 0) { dispatch({ type: "go", who: "AI" }); return; }
+    setAiBusy(true);
+    const position = aiPosition({ keep: game.aiHand, toss: game.tossed.AI, starter: game.starter });
+    ai.request("peg", { state: peg, sims: aiPlan.pegSims, mode: aiPlan.peg, style: aiStyle, position, rules: game.rules, seed: aiSeed(2) }).then(({ card }) => {
+      dispatch(card ? { type: "play", who: "AI", card } : { type: "go", who: "AI" });
+      setAiBusy(false);
+    });
   }
 
-  function playPegCard(card) {
-    if (gameOver) return;
-    if (!peg) return;
-    const who = peg.next;
-    const s1 = applyPlay(peg, card, who);
-    const player = who;
-    const gain = s1.points;
-    setPeg({ ...s1 });
-    if (gain) {
-      addScore(player, gain);
-      logLine(`${player} plays ${cardToString(card)} for +${gain} (total ${s1.total}).`);
-    } else {
-      logLine(`${player} plays ${cardToString(card)} (total ${s1.total}).`);
+  // Restore before the deal effect below runs, so a saved hand is not dealt over. A ?seed= or
+  // ?daily link starts that deal instead, unless the saved match is already that deal.
+  useEffect(()=>{
+    const save = loadSave();
+    const params = new URLSearchParams(window.location.search);
+    const linked = params.has("daily") ? dailySeed() : parseSeed(params.get("seed"));
+    if (linked !== null && !(save && save.match.seed === linked)) {
+      const dealerParam = ["P", "AI"].includes(params.get("dealer")) ? params.get("dealer") : null;
+      startMatch("single", 1, linked, params.has("daily") ? dailyKey() : null, dealerParam);
+    } else if (save) {
+      dispatch({ type: "restore", rec: { game: save.game, actions: save.actions } });
+      setMatch(save.match);
+      const st = save.settings;
+      setTableRules(st.rules);
+      setMcDiscard(st.mcDiscard); setMcPeg(st.mcPeg); setDiscardMode(st.discardMode);
+      setAiLevel(st.aiLevel); setPersonality(st.personality);
+      setShowHands(st.showHands); setAdvisorOn(st.advisorOn); setAnimSpeed(st.animSpeed); setTheme(st.theme);
     }
-    if (s1.thirtyOne) {
-      setPeg(ps => ps ? { ...ps, stack: [], total: 0, pPassed: false, aiPassed: false } : null);
-      return;
+    setStats(loadStats());
+  }, []);
+  useEffect(()=>{
+    if (!stats) return;
+    writeSave({ game, actions, match, settings: { mcDiscard, mcPeg, discardMode, aiLevel, personality, showHands, advisorOn, animSpeed, theme, rules: tableRules } });
+  }, [stats, game, actions, match, mcDiscard, mcPeg, discardMode, aiLevel, personality, showHands, advisorOn, animSpeed, theme, tableRules]);
+  useEffect(()=>{
+    if (!stats || hotseat || !(showResult || gameOver)) return;
+    let next = recordDeal(stats, `${game.seed}:${game.rngState}`, game.dealPoints.P, showResult, game.options.countOwn);
+    if (game.result) next = recordGameResult(next, String(game.seed), game.result);
+    if (next !== stats) { setStats(next); writeStats(next); }
+  }, [showResult, gameOver, stats]);
+
+  // Each move animates (lib/animation.js) before the table moves on: the AI, the show and the
+  // next deal wait until it is done. A new game or a restored one has nothing to animate. The
+  // move is also put into words for screen readers (lib/announce.js); in hot-seat play neither
+  // hand is read out, as the device may not have changed hands yet.
+  useEffect(()=>{
+    const last = lastMoveRef.current;
+    lastMoveRef.current = { game, moves: actions.length };
+    if (actions.length !== last.moves + 1) { setAnimating(false); return; }
+    const action = actions[actions.length - 1];
+    const lines = actionCallouts(last.game, game, action);
+    setAnnouncement({ at: actions.length, text: announceAction(last.game, game, action, names, hotseat ? null : "P") });
+    if (lines) setCallouts({ at: actions.length, lines });
+    const ms = animationMs(last.game, game, action, times);
+    setAnimating(ms > 0);
+    if (ms === 0) return;
+    const t = setTimeout(()=>setAnimating(false), ms);
+    return () => clearTimeout(t);
+  }, [actions.length, game.seed]);
+
+  useEffect(()=>{ if (phase === "deal") dispatch({ type: "deal" }); }, [phase]);
+  useEffect(()=>{ if (!hotseat && phase === "discard" && !game.tossed.AI && !aiBusy && !animating) aiChooseDiscards(); }, [phase, game.tossed.AI, aiBusy, animating]);
+  useEffect(()=>{
+    if (!hotseat && phase === "discard" && advisorOn && !game.tossed.P) {
+      const hand = game.pHand, isDealer = dealer === "P", mode = discardMode;
+      ai.request("advise", { hand, seen: [], isDealer, sims: mcDiscard, mode, rules: game.rules, seed: aiSeed(3) }).then(rows => {
+        const own = rows.map(row => ({ ...row, keep: ownCards(hand, row.keep), toss: ownCards(hand, row.toss) }));
+        setAdvice({ rows: own, isDealer, mode, chosen: null });
+      });
     }
-    if (s1.pHand.length === 0 && s1.aiHand.length === 0) { endPeggingAndScoreHands(s1); return; }
-  }
+  }, [phase, advisorOn, discardMode, game.rngState]); // rngState: a redeal stays in the discard phase
+  useEffect(()=>{ if (game.tossed.P) setAdvice(a => a && { ...a, chosen: game.tossed.P }); }, [game.tossed.P]);
+  useEffect(()=>{ if (showResult) setLastShow(showResult); }, [showResult]);
+  useEffect(()=>{
+    const key = `${game.seed}:${game.rngState}`;
+    if (hotseat || !(showResult || gameOver) || (review && review.key === key)) return;
+    const decisions = dealDecisions(walkGame(game.seed, gameOpts(game), actions).steps);
+    ai.request("review", { decisions, sims: mcPeg, style: aiStyle, seed: aiSeed(4) }).then(items => {
+      setReview({ key, items });
+      setAccuracy(a => addReviews(a, items));
+    });
+  }, [showResult, gameOver]);
+  useEffect(()=>{ if (game.result) setMatch(m => recordGame(m, game.result, game.firstDealer, game.seed)); }, [game.result]);
+  useEffect(()=>{ if (game.result) archiveRecord(buildRecord(game, actions)); }, [game.result]);
 
-  function declareGo(who) {
-    if (gameOver) return;
-    if (!peg) return;
-    const other = who === "P" ? "AI" : "P";
-    if (who === "P") {
-      const pLegal = legalPlays(peg.pHand, peg.total);
-      if (pLegal.length > 0) return;
-      setPeg({ ...peg, pPassed: true, next: other });
-      logLine(`P says Go.`);
-    } else {
-      const aLegal = legalPlays(peg.aiHand, peg.total);
-      if (aLegal.length > 0) return;
-      setPeg({ ...peg, aiPassed: true, next: other });
-      logLine(`AI says Go.`);
-    }
-    setTimeout(()=>{
-      setPeg(ps => {
-        if (!ps) return ps;
-        if (ps.pPassed && ps.aiPassed) {
-          const last = ps.next === "P" ? "AI" : "P";
-          addScore(last, 1);
-          logLine(`${last} scores 1 for last card (Go).`);
-          const ns = { ...ps, stack: [], total: 0, pPassed: false, aiPassed: false };
-          if (ns.pHand.length === 0 && ns.aiHand.length === 0) {
-            setTimeout(()=>{ endPeggingAndScoreHands(ns); }, 0);
-          }
-          return ns;
-        }
-        return ps;
-      });
-    }, 250);
+  function startGame(m, firstDealer = nextFirstDealer(m), hot = hotseat) {
+    ai.cancel(); setAiBusy(false); setAdvice(null); setLastShow(null); setReview(null); setViewer(null);
+    dispatch({ type: "newGame", seed: nextGameSeed(m), opts: { countOwn: game.options.countOwn, dealer: firstDealer || undefined, rules: tableRules, hotseat: hot } });
   }
 
-  function aiTakePegTurn() {
-    if (gameOver) return;
-    if (aiBusy) return;
-    setAiBusy(true);
-    setPeg(ps => {
-      if (!ps) { setAiBusy(false); return ps; }
-      if (ps.next !== "AI") { setAiBusy(false); return ps; }
-      const legal = legalPlays(ps.aiHand, ps.total);
-      if (legal.length === 0) { setAiBusy(false); declareGo("AI"); return ps; }
-      const { card } = aiPeggingMove(ps, mcPeg, rng);
-      if (card) {
-        playPegCard(card);
-      } else {
-        declareGo("AI");
-      }
-      setTimeout(()=>setAiBusy(false), 0);
-      return ps;
-    });
+  function startMatch(format, target, seed, daily = null, firstDealer = null, hot = hotseat) {
+    const m = initMatch(format, target, seed, daily);
+    setMatch(m); startGame(m, firstDealer, hot);
   }
 
-  useEffect(()=>{ if (phase === "discard" && aiHand.length === 6) aiChooseDiscards(); }, [phase]);
-  useEffect(()=>{ if (phase === "deal") deal(); }, [phase]);
-  useEffect(()=>{ if (phase === "pegging" && peg?.next === "AI" && !aiBusy) aiTakePegTurn(); }, [phase, peg?.next, aiBusy]);
+  // Hot-seat hint: what the AI would do in the acting seat, from that seat's information only.
+  function requestHint() {
+    const at = actions.length;
+    if (phase === "discard") {
+      const hand = actor === "P" ? game.pHand : game.aiHand;
+      ai.request("discard", { hand, seen: [], isDealer: dealer === actor, sims: mcDiscard, mode: "exact", rules: game.rules, seed: aiSeed(5) })
+        .then(({ toCrib }) => setHint({ at, text: `Put ${toCrib.map(cardToString).join(" ")} in the crib.` }));
+    } else if (phase === "pegging") {
+      ai.request("peg", { state: pegView(game, actor), sims: mcPeg, seed: aiSeed(5) })
+        .then(({ card }) => setHint({ at, text: card ? `Play ${cardToString(card)}.` : "Say Go." }));
+    }
+  }
+  // As pone the AI cuts anywhere it may, after a moment so the cut can be seen.
+  useEffect(()=>{
+    if (hotseat || phase !== "cut" || dealer !== "P" || animating) return;
+    const { min, max } = cutRange(game);
+    const at = min + Math.floor(seededRng(aiSeed(6))() * (max - min + 1));
+    const t = setTimeout(()=>dispatch({ type: "cut", at }), times.card);
+    return () => clearTimeout(t);
+  }, [phase, dealer, animating]);
+  useEffect(()=>{ if (!hotseat && phase === "pegging" && !gameOver && peg.next === "AI" && !aiBusy && !animating) aiTakePegTurn(); }, [phase, peg, aiBusy, gameOver, animating]);
+  useEffect(()=>{ if (phase === "show" && !showResult && !game.options.countOwn && !animating) dispatch({ type: "show" }); }, [phase, showResult, game.options.countOwn, animating]);
+  useEffect(()=>{
+    if (phase !== "show" || !showResult || gameOver || animating) return;
+    const t = setTimeout(()=>{ setAdvice(null); dispatch({ type: "deal" }); }, 2000);
+    return () => clearTimeout(t);
+  }, [phase, showResult, gameOver, animating]);
 
   return {
-    dealer, deck, pHand, aiHand, crib, starter, phase, scores, prevScores, log, gameOver, winner,
-    setShowHands, showHands, setMcDiscard, setMcPeg, mcDiscard, mcPeg,
-    cutStarter, declareGo, playPegCard, redeal, peg,
-    commitDiscardsSelected: (selectedTwo) => {
-      if (!selectedTwo || selectedTwo.length !== 2) return;
-      setCrib(c => c.concat(selectedTwo));
-      setPHand(pHand.filter(c => !selectedTwo.some(x => x.r===c.r && x.s===c.s)));
-      setPhase("cut");
-    }
+    ...game, actions, aiBusy, lastShow, match, stats, review, accuracy,
+    animSpeed, setAnimSpeed, times, callouts: callouts && callouts.at === actions.length ? callouts.lines : null,
+    announcement: announcement && announcement.at === actions.length ? announcement.text : "", theme, setTheme,
+    // Later games in a match have an alternated first dealer rather than a drawn one; the link says so.
+    shareQuery: match.games.length ? `seed=${game.seed}&dealer=${game.firstDealer}` : `seed=${game.seed}`,
+    tableRules, setTableRules,
+    restartWithRules: () => startMatch(match.format, match.target, randomSeed()),
+    resetStats: () => { const s = emptyStats(); setStats(s); writeStats(s); },
+    nextGame: () => { if (!match.over) startGame(match); },
+    newMatch: (format, target) => startMatch(format, target, randomSeed()),
+    playSeed: (seed) => startMatch(match.format, match.target, seed),
+    playDaily: () => startMatch("single", 1, dailySeed(), dailyKey()),
+    setShowHands, showHands, setMcDiscard, setMcPeg, mcDiscard, mcPeg, discardMode, setDiscardMode,
+    aiLevel, setAiLevel, personality, setPersonality, opponentName: describeOpponent(aiPlan, aiStyle),
+    hotseat, setHotseat: (on) => startMatch(match.format, match.target, randomSeed(), null, null, on),
+    names,
+    seat, actor, curtain: hotseat && actor !== null && actor !== viewer, takeSeat: () => setViewer(actor),
+    hint: hint && hint.at === actions.length ? hint.text : null, requestHint,
+    countOwn: game.options.countOwn, setCountOwn: (on) => dispatch({ type: "options", countOwn: on }),
+    awaitingClaims: phase === "show" && !showResult && game.options.countOwn,
+    submitShowClaims: (claims) => dispatch({ type: "show", claims }),
+    advisorOn, setAdvisorOn, advice,
+    cutStarter: (at) => dispatch({ type: "cut", at }),
+    declareGo: () => dispatch({ type: "go", who: seat }),
+    playPegCard: (card, claim = 0) => dispatch({ type: "play", who: seat, card, claim }),
+    redeal,
+    commitDiscardsSelected: (selectedTwo) => dispatch({ type: "discard", who: seat, cards: selectedTwo }),
   };
 }
 
 
-/** ---------------------- Cribbage Board (3‑Track SVG with Finish & Arrows) ---------------------- */
-function threeTrackLayout(cols = 40) {
-  // Indices: 0–39 top (L→R), 40–79 bottom (R→L), 80–120 middle (L→R)
-  const gapX = 18;
-  const left = 24;
-  const topY = 28;
-  const rowGap = 44;
-  const yTop = topY;
-  const yMid = topY + rowGap;
-  const yBot = topY + rowGap * 2;
-
-  function segFor(i) { return i < cols ? 0 : (i < cols*2 ? 1 : 2); }
-  function colInSeg(i) {
-    const seg = segFor(i);
-    const idx = seg === 0 ? i : (seg === 1 ? i - cols : i - cols*2);
-    return seg === 1 ? cols - 1 - idx : idx;
-  }
-
-  function xFor(i) { return left + Math.min(colInSeg(i), cols) * gapX; }
-  function yForSeg(i) {
-    const seg = segFor(i);
-    return seg === 0 ? yTop : (seg === 1 ? yBot : yMid);
-  }
-
-  return { xFor, yForSeg, yTop, yMid, yBot, left, gapX, cols };
+/** ---------------------- UI Components ---------------------- */
+// Pegging call-outs ("Fifteen for two"), over the table until they fade after ms. With
+// animations off they stay until the next move.
+function CallOuts({ lines, names, ms }) {
+  const ref = useRef(null);
+  useEffect(()=>{
+    if (!ms || !ref.current || !ref.current.animate) return;
+    ref.current.animate([{ opacity: 0, transform: "scale(0.9)" }, { opacity: 1, transform: "scale(1)", offset: 0.15 }, { opacity: 1, offset: 0.8 }, { opacity: 0 }], { duration: ms, fill: "forwards" });
+  }, [lines, ms]);
+  return (
+    <div style={{ position: "fixed", left: 0, right: 0, top: "40%", zIndex: 5, pointerEvents: "none", display: "flex", justifyContent: "center" }}>
+      <div ref={ref} style={{ display: "flex", flexDirection: "column", gap: 6, alignItems: "center" }}>
+        {lines.map((l, i) => (
+          <div key={i} style={{ background: "#1e1b4b", color: "white", padding: "8px 16px", borderRadius: 999, fontSize: 18, fontWeight: 700, boxShadow: "0 4px 12px rgba(0,0,0,0.2)" }}>
+            {names[l.who]}: {l.text}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
 }
 
-function CribbageBoard({ scores, prevScores }) {
-  const { xFor, yForSeg, yTop, yMid, yBot, left, gapX, cols } = threeTrackLayout(40);
-  const width  = left + 40 * gapX + 24;
-  const height = yBot + 28;
-
-  // Holes
-  const holes = [];
-  for (let c = 0; c < cols; c++) { const x = left + c * gapX; holes.push(<circle key={"t"+c} cx={x} cy={yTop} r={3} fill="#94a3b8" />); }
-  for (let c = 0; c < cols; c++) { const x = left + c * gapX; holes.push(<circle key={"b"+c} cx={x} cy={yBot} r={3} fill="#94a3b8" />); }
-  for (let c = 0; c <= cols; c++) { const x = left + c * gapX; holes.push(<circle key={"m"+c} cx={x} cy={yMid} r={3} fill="#94a3b8" />); }
-
-  // Divider ticks every 5
-  const ticks = [];
-  for (let i = 5; i <= 120; i += 5) {
-    const x = xFor(i);
-    const y = yForSeg(i);
-    ticks.push(<line key={"tick"+i} x1={x} y1={y-10} x2={x} y2={y+10} stroke="#cbd5e1" strokeWidth="1" />);
-  }
+// Where screen readers hear each move (see announceAction); kept off screen.
+const visuallyHidden = { position: "absolute", width: 1, height: 1, overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap" };
+function Announcer({ text }) {
+  return <div role="status" aria-live="polite" style={visuallyHidden}>{text}</div>;
+}
 
-  // Skunk ticks (short vertical)
-  const skunks = [
-    <line key="ds60" x1={xFor(60)} y1={yBot-6} x2={xFor(60)} y2={yBot+6} stroke="#dc2626" strokeWidth="2" />,
-    <line key="sk90" x1={xFor(90)}  y1={yMid-6} x2={xFor(90)}  y2={yMid+6} stroke="#ef4444" strokeWidth="2" />,
-  ];
+function PassScreen({ name, onReady }) {
+  return (
+    <div style={{ position: "fixed", inset: 0, zIndex: 10, background: "linear-gradient(135deg, #1e1b4b, #312e81)", color: "white", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 16 }}>
+      <div style={{ fontSize: 28, fontWeight: 800 }}>Pass the device to {name}</div>
+      <div style={{ fontSize: 14, opacity: 0.8 }}>No peeking — the other hand stays hidden until it is their turn.</div>
+      <button autoFocus onClick={onReady} style={{ padding: "10px 18px", borderRadius: 8, border: "none", background: "white", color: "#1e1b4b", fontWeight: 700, fontSize: 16 }}>I'm {name} — show my hand</button>
+    </div>
+  );
+}
 
-  // Path arrows
-  const xr = xFor(39); // top-right end
-  const xl = xFor(79); // bottom-left end
-  const arrows = [
-    <g key="ar1">
-      <line x1={xr} y1={yTop+10} x2={xr} y2={yBot-10} stroke="#64748b" strokeWidth="1.5" strokeDasharray="3 3" />
-      <polygon points={`${xr-4},${yBot-10} ${xr+4},${yBot-10} ${xr},${yBot-4}`} fill="#64748b" />
-    </g>,
-    <g key="ar2">
-      <line x1={xl} y1={yBot-10} x2={xl} y2={yMid+10} stroke="#64748b" strokeWidth="1.5" strokeDasharray="3 3" />
-      <polygon points={`${xl-4},${yMid+10} ${xl+4},${yMid+10} ${xl},${yMid+4}`} fill="#64748b" />
-    </g>,
-  ];
+function ReviewPanel({ review, accuracy }) {
+  return (
+    <div style={{ background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 13 }}>
+      {review.items.length === 0 && <div style={{ color: "#6b7280" }}>No choices to review this deal.</div>}
+      {review.items.map((r, i) => (
+        <div key={i} style={{ color: isAccurate(r) ? "#166534" : (r.lost >= 1 ? "#b91c1c" : "#374151") }}>{describeReview(r)}</div>
+      ))}
+      {accuracy.decisions > 0 && (
+        <div style={{ marginTop: 6, paddingTop: 6, borderTop: "1px solid #f3f4f6" }}>
+          Session accuracy: <b>{Math.round(100 * accuracy.accurate / accuracy.decisions)}%</b> of {accuracy.decisions} decisions best
+          &nbsp;·&nbsp; {(accuracy.lost / accuracy.decisions).toFixed(2)} pts lost per decision
+        </div>
+      )}
+    </div>
+  );
+}
 
-  // Finish hole (index 120)
-  const xf = xFor(120);
-  const finish = (
-    <g key="finish">
-      <circle cx={xf} cy={yMid} r={7} fill="#fde68a" stroke="#f59e0b" strokeWidth="2" />
-      <text x={xf+10} y={yMid+4} fontSize="12" fill="#92400e" style={{fontWeight:700}}>FINISH</text>
-    </g>
+function ClaimForm({ withCrib, onSubmit }) {
+  const [hand, setHand] = useState("");
+  const [crib, setCrib] = useState("");
+  const toPts = (v) => Math.max(0, parseInt(v, 10) || 0);
+  const inputStyle = { width: 56, padding: "4px 6px", borderRadius: 6, border: "1px solid #e5e7eb" };
+  return (
+    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 8, fontSize: 14 }}>
+      <label>Your hand: <input aria-label="Claim for hand" type="number" min="0" max="29" value={hand} onChange={(e)=>setHand(e.target.value)} style={inputStyle} /></label>
+      {withCrib && (
+        <label>Your crib: <input aria-label="Claim for crib" type="number" min="0" max="29" value={crib} onChange={(e)=>setCrib(e.target.value)} style={inputStyle} /></label>
+      )}
+      <button onClick={()=>onSubmit({ hand: toPts(hand), crib: toPts(crib) })} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>
+        Claim
+      </button>
+    </div>
   );
+}
 
-  // Pegs (offset above/below holes) — always show two for AI and two for Player.
-  const GOLD = "#c9b037";   // AI
-  const SILVER = "#b7b7b7"; // Player
+function AdvisorTable({ advice }) {
+  const rows = advice.rows.slice().sort((a,b)=>b.net-a.net);
+  const isChosen = (row) => advice.chosen && row.toss.every(c => advice.chosen.some(x => cardsEqual(x, c)));
+  const fmt = (v) => v.toFixed(2);
+  const cell = { padding: "2px 6px" };
+  return (
+    <div style={{ background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 13, marginBottom: 8 }}>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ color: "#6b7280", textAlign: "left" }}>
+            <th style={cell}>Keep</th><th style={cell}>Toss</th>
+            <th style={{ ...cell, textAlign: "right" }}>Hand</th>
+            <th style={{ ...cell, textAlign: "right" }}>{advice.isDealer ? "Your crib" : "Their crib"}</th>
+            <th style={{ ...cell, textAlign: "right" }}>Net EV</th>
+            {advice.mode === "exact" && <th style={{ ...cell, textAlign: "right" }}>MC net</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={i} style={{ borderTop: "1px solid #f3f4f6", background: isChosen(row) ? "#e0e7ff" : (i === 0 ? "#f0fdf4" : "transparent") }}>
+              <td style={cell}>{row.keep.map(cardToString).join(" ")}</td>
+              <td style={cell}>{row.toss.map(cardToString).join(" ")}</td>
+              <td style={{ ...cell, textAlign: "right" }}>{fmt(row.handEV)}</td>
+              <td style={{ ...cell, textAlign: "right" }}>{advice.isDealer ? "+" : "−"}{fmt(row.cribEV)}</td>
+              <td style={{ ...cell, textAlign: "right", fontWeight: 600 }}>{fmt(row.net)}</td>
+              {advice.mode === "exact" && <td style={{ ...cell, textAlign: "right", color: "#6b7280" }}>{fmt(row.mcNet)}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!advice.isDealer && <div style={{ color: "#6b7280", marginTop: 4 }}>Opponent's crib counts {AI_PERSONALITIES.balanced.cribAgainst} against you.</div>}
+    </div>
+  );
+}
 
-  // Small x-offset for "trail" peg so both pegs are visible when overlapping.
-  const TRAIL_SHIFT = -3;
+const wins = (names, who) => (names[who] === "You" ? "You win" : `${names[who]} wins`);
 
-  const peg = (i, color, dy, xShift=0, r = 6) => {
-    const idx = Math.max(0, Math.min(120, i));
-    const x = xFor(idx) + xShift;
-    const y = yForSeg(idx) + dy;
-    return <circle cx={x} cy={y} r={r} fill={color} stroke="#111827" strokeWidth="1" />;
-  };
+function MatchBoard({ match, names, onNewMatch }) {
+  const standing = matchStanding(match);
+  const [format, setFormat] = useState(match.format);
+  const [target, setTarget] = useState(match.target > 1 ? match.target : 5);
+  const kindLabel = { win: "", skunk: " (skunk)", double: " (double skunk)" };
+  return (
+    <div style={{ background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 14, marginBottom: 8 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", flexWrap: "wrap", gap: 8 }}>
+        <div>
+          <b>Match — {describeFormat(match)}</b> &nbsp;•&nbsp; {names.P}: <b>{standing.P.games}</b> games / <b>{standing.P.points}</b> pts
+          &nbsp;·&nbsp; {names.AI}: <b>{standing.AI.games}</b> games / <b>{standing.AI.points}</b> pts
+          {match.over && <span style={{ marginLeft: 8, color: "#9a3412", fontWeight: 700 }}>{wins(names, match.winner)} the match!</span>}
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <select aria-label="Match format" value={format} onChange={(e)=>setFormat(e.target.value)} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+            <option value="single">Single game</option>
+            <option value="bestOf">Best of N games</option>
+            <option value="firstTo">First to N points</option>
+          </select>
+          {format !== "single" && (
+            <input aria-label="Match length" type="number" min="1" max="31" step={format === "bestOf" ? 2 : 1} value={target} onChange={(e)=>setTarget(Math.max(1, parseInt(e.target.value, 10) || 1))} style={{ width: 52, padding: "4px 6px", borderRadius: 6, border: "1px solid #e5e7eb" }} />
+          )}
+          <button onClick={()=>onNewMatch(format, target)} style={{ padding: "4px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>New Match</button>
+        </div>
+      </div>
+      {match.games.length > 0 && (
+        <div style={{ fontSize: 12, color: "#6b7280", marginTop: 4 }}>
+          {match.games.map((g, i) => `Game ${i + 1}: ${names[g.winner]} +${g.gamePoints}${kindLabel[g.kind]}`).join(" · ")}
+        </div>
+      )}
+    </div>
+  );
+}
 
+function StatsPanel({ stats, onReset }) {
+  const avg = (sum, n) => (n ? (sum / n).toFixed(2) : "—");
+  const rows = [
+    ["Games won / lost", `${stats.gamesWon} / ${stats.gamesLost}`],
+    ["Skunks given / taken", `${stats.skunksGiven} / ${stats.skunksTaken}`],
+    ["Double skunks given / taken", `${stats.doubleSkunksGiven} / ${stats.doubleSkunksTaken}`],
+    ["Deals played", stats.deals],
+    ["Avg hand points", avg(stats.handPoints, stats.deals)],
+    ["Avg crib points (your cribs)", avg(stats.cribPoints, stats.cribs)],
+    ["Avg pegging points", avg(stats.peggingPoints, stats.deals)],
+    ["Highest hand", stats.highestHand],
+    ["29 hands seen", stats.twentyNines],
+  ];
   return (
-    <div style={{ width: "100%", padding: 8, background: "#fff", border: "1px solid #e5e7eb", borderRadius: 12 }}>
-      <svg width="100%" height="300" viewBox={`0 0 ${width} ${height}`}>
-        <rect x="8" y="8" width={width-16} height={height-16} rx="12" ry="12" fill="#f1f5f9" stroke="#e2e8f0" />
-        {ticks}
-        {skunks}
-        {arrows}
-        {holes}
-        {finish}
-
-        {/* AI gold: trail (shifted) then lead — ABOVE holes (dy = -7) */}
-        {peg(prevScores?.AI ?? 0, GOLD, -7, TRAIL_SHIFT, 6)}
-        {peg(scores?.AI ?? 0,     GOLD, -7, 0,           6)}
-
-        {/* Player silver: trail (shifted) then lead — BELOW holes (dy = +7). Starts on TOP row because yForSeg(0) == yTop */}
-        {peg(prevScores?.P ?? 0, SILVER, +7, TRAIL_SHIFT, 6)}
-        {peg(scores?.P ?? 0,     SILVER, +7, 0,           6)}
-      </svg>
+    <div style={{ background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 13 }}>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label} style={{ borderTop: "1px solid #f3f4f6" }}>
+              <td style={{ padding: "2px 4px", color: "#374151" }}>{label}</td>
+              <td style={{ padding: "2px 4px", textAlign: "right", fontWeight: 600 }}>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={onReset} style={{ marginTop: 6, padding: "4px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white", fontSize: 12 }}>Reset stats</button>
     </div>
   );
 }
 
-/** ---------------------- UI Components ---------------------- */
-function CardView({ card, selectable=false, selected=false, onClick }) {
-  const isRed = card.s === "♥" || card.s === "♦";
-  const style = {
-    display: "inline-flex", alignItems: "center", justifyContent: "center",
-    width: 48, height: 64, borderRadius: 12, border: "1px solid #e5e7eb",
-    boxShadow: "0 1px 2px rgba(0,0,0,0.05)", background: "white", marginRight: 8, marginBottom: 8,
-    cursor: selectable ? "pointer" : "default", transform: selectable ? "translateY(0)" : "none", position: "relative"
-  };
+function SeedBar({ seed, shareQuery, onPlaySeed, onDaily }) {
+  const [text, setText] = useState("");
+  const [copied, setCopied] = useState(false);
+  const link = () => `${window.location.origin}${window.location.pathname}?${shareQuery}`;
+  const wanted = parseSeed(text);
   return (
-    <div onClick={onClick} style={style}>
-      <div style={{ textAlign: "center", color: isRed ? "#ef4444" : "#111827" }}>
-        <div style={{ fontWeight: 600, lineHeight: "1rem" }}>{rankLabel(card.r)}</div>
-        <div style={{ fontSize: 18 }}>{card.s}</div>
-        {selected && <div style={{ position: "absolute", inset: 0, borderRadius: 12, boxShadow: "0 0 0 2px #6366f1 inset" }} />}
-      </div>
+    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 13, color: "#374151", marginBottom: 8 }}>
+      <span>Seed: <b>{seed}</b></span>
+      <button onClick={()=>{ navigator.clipboard.writeText(link()).then(()=>setCopied(true)); setTimeout(()=>setCopied(false), 1500); }} style={{ padding: "4px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>
+        {copied ? "Link copied" : "Copy share link"}
+      </button>
+      <input aria-label="Seed to play" placeholder="seed" value={text} onChange={(e)=>setText(e.target.value)} style={{ width: 110, padding: "4px 6px", borderRadius: 6, border: "1px solid #e5e7eb" }} />
+      <button disabled={wanted === null} onClick={()=>onPlaySeed(wanted)} style={{ padding: "4px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: wanted === null ? "#f3f4f6" : "white" }}>Play seed</button>
+      <button onClick={onDaily} style={{ padding: "4px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>Daily deal</button>
+      <Link href="/replay" style={{ color: "#4f46e5" }}>Replay &amp; export games</Link>
+      <Link href="/online" style={{ color: "#4f46e5" }}>Play online</Link>
+      <Link href="/table" style={{ color: "#4f46e5" }}>Three or four players</Link>
+      <Link href="/trainer" style={{ color: "#4f46e5" }}>Counting trainer</Link>
+      <Link href="/puzzles" style={{ color: "#4f46e5" }}>Pegging puzzles</Link>
     </div>
   );
 }
 
-function HandRow({ title, cards, selectable=false, selectedIds=[], onCardClick }) {
+function RulesPanel({ rules, activeRules, onChange, onRestart }) {
+  const edit = (patch) => onChange({ ...rules, ...patch, preset: "custom", name: "Custom" });
+  const num = (v, fallback) => { const n = parseInt(v, 10); return Number.isFinite(n) && n >= 0 ? n : fallback; };
+  const inputStyle = { width: 52, padding: "2px 6px", borderRadius: 6, border: "1px solid #e5e7eb" };
+  const pending = JSON.stringify(rules) !== JSON.stringify(activeRules);
   return (
-    <div style={{ marginBottom: 8 }}>
-      <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>{title}</div>
-      <div style={{ display: "flex", flexWrap: "wrap" }}>
-        {cards.map((c,i)=> (
-          <CardView key={i} card={c} selectable={selectable} selected={selectedIds.includes(cardToString(c))} onClick={()=>onCardClick && onCardClick(c)} />
-        ))}
+    <details style={{ background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 13, marginBottom: 8 }}>
+      <summary style={{ cursor: "pointer" }}>House rules — {describeRules(activeRules)}</summary>
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+        <label>Preset:{" "}
+          <select value={rules.preset} onChange={(e)=>onChange(RULE_PRESETS[e.target.value])} style={{ padding: "2px 6px", borderRadius: 6, border: "1px solid #e5e7eb" }}>
+            {Object.values(RULE_PRESETS).map(p => <option key={p.preset} value={p.preset}>{p.name}</option>)}
+            {rules.preset === "custom" && <option value="custom">Custom</option>}
+          </select>
+        </label>
+        <label><input type="checkbox" checked={!!rules.fiveCard} onChange={(e)=>edit(e.target.checked ? { fiveCard: true, targetScore: 61, skunkLine: 31, doubleSkunkLine: 0 } : { fiveCard: false })} /> Five-card game</label>
+        <label><input type="checkbox" checked={rules.house798} onChange={(e)=>edit({ house798: e.target.checked })} /> 7-9-8 bonus</label>
+        <label>worth <input type="number" min="1" max="10" value={rules.house798Points} disabled={!rules.house798} onChange={(e)=>edit({ house798Points: num(e.target.value, rules.house798Points) })} style={inputStyle} /></label>
+        <label><input type="checkbox" checked={rules.cribFourFlush} onChange={(e)=>edit({ cribFourFlush: e.target.checked })} /> 4-card crib flush</label>
+        <label>Nineteen pays <input type="number" min="0" max="19" value={rules.nineteenPoints} onChange={(e)=>edit({ nineteenPoints: num(e.target.value, 0) })} style={inputStyle} /></label>
+        <label>Game to{" "}
+          <select value={rules.targetScore} onChange={(e)=>{
+            const targetScore = parseInt(e.target.value, 10);
+            edit(targetScore === 61 ? { targetScore, skunkLine: 31, doubleSkunkLine: 0 } : { targetScore, skunkLine: 91, doubleSkunkLine: 61 });
+          }} style={{ padding: "2px 6px", borderRadius: 6, border: "1px solid #e5e7eb" }}>
+            <option value={61}>61</option>
+            <option value={121}>121</option>
+          </select>
+        </label>
+        <label>Skunk under <input type="number" min="0" max={rules.targetScore} value={rules.skunkLine} onChange={(e)=>edit({ skunkLine: num(e.target.value, rules.skunkLine) })} style={inputStyle} /></label>
+        <label>Double under <input type="number" min="0" max={rules.targetScore} value={rules.doubleSkunkLine} onChange={(e)=>edit({ doubleSkunkLine: num(e.target.value, rules.doubleSkunkLine) })} style={inputStyle} /></label>
       </div>
-    </div>
+      {pending && (
+        <div style={{ marginTop: 8, color: "#6b7280" }}>
+          These rules take effect from the next game.{" "}
+          <button onClick={onRestart} style={{ padding: "2px 8px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>Start a new match with them</button>
+        </div>
+      )}
+    </details>
   );
 }
 
 export default function HomePage() {
   const G = useCribbageGame();
   const [discardSel, setDiscardSel] = useState([]);
-  useEffect(()=>{ if (G.phase !== "discard") setDiscardSel([]); }, [G.phase]);
-  const canCommit = G.phase === "discard" && discardSel.length === 2;
-  const pegLegal = G.peg ? legalPlays(G.peg.pHand, G.peg.total) : [];
+  const [pegClaim, setPegClaim] = useState("");
+  useEffect(()=>{ if (G.phase !== "discard") setDiscardSel([]); }, [G.phase, G.seat]);
+  // The human seat on screen: always P against the AI, whoever took the device in hot-seat play.
+  const seat = G.seat;
+  const other = seat === "AI" ? "P" : "AI";
+  const hand = seat === "AI" ? G.aiHand : (seat ? G.pHand : []);
+  const pegHand = G.peg && (seat === "AI" ? G.peg.aiHand : G.peg.pHand);
+  const handTitle = G.hotseat ? `${G.names[seat] || ""} Hand` : "Your Hand";
+  const myDiscard = G.phase === "discard" && seat && !G.tossed[seat];
+  const canCommit = myDiscard && discardSel.length === 2;
+  const myPegTurn = G.phase === "pegging" && seat && G.peg.next === seat;
+  const pegLegal = myPegTurn ? legalPlays(pegHand, G.peg.total) : [];
+  const deal = { key: `${G.seed}:${G.rngState}`, duration: G.times.card, stagger: G.times.dealStagger };
+  const myCut = G.phase === "cut" && seat && seat !== G.dealer;
+  const cut = cutRange(G);
+  const [cutAt, setCutAt] = useState(null);
+  useEffect(()=>{ setCutAt(Math.floor((cut.min + cut.max) / 2)); }, [G.phase, G.dealer]);
+  const [pegSel, setPegSel] = useState(null); // the card picked to play from the keyboard
+  const [pegNote, setPegNote] = useState("");
+  useEffect(()=>{ setPegSel(null); setPegNote(""); }, [myPegTurn, G.peg && G.peg.stack.length]);
+
+  const commitDiscards = () => G.commitDiscardsSelected(hand.filter(c => discardSel.includes(cardToString(c))));
+  const playPeg = (c) => { G.playPegCard(c, Math.max(0, parseInt(pegClaim, 10) || 0)); setPegClaim(""); };
+  const pickPeg = (c) => {
+    const id = cardToString(c);
+    if (!pegLegal.some(l => cardToString(l) === id)) { setPegNote(`${cardToString(c)} would take the count past 31.`); return; }
+    setPegNote("");
+    setPegSel(sel => sel === id ? null : id);
+  };
+
+  // Hotkeys: D puts the two selected cards in the crib, C cuts, P plays the selected card and G
+  // says Go. Keys typed into a field, or with a modifier, are left alone.
+  useEffect(()=>{
+    const onKey = (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey || ["INPUT", "SELECT", "TEXTAREA"].includes(e.target.tagName) || G.curtain || G.gameOver) return;
+      const key = e.key.toLowerCase();
+      const selected = pegSel && pegLegal.find(c => cardToString(c) === pegSel);
+      if (key === "d" && canCommit) commitDiscards();
+      else if (key === "c" && myCut) G.cutStarter(cutAt);
+      else if (key === "p" && selected) playPeg(selected);
+      else if (key === "g" && myPegTurn && pegLegal.length === 0) G.declareGo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
 
   return (
+    <ThemeProvider theme={G.theme}>
     <main style={{ minHeight: "100vh", background: "linear-gradient(135deg, #f8fafc, #eef2ff)", padding: 16 }}>
+      <Announcer text={G.announcement} />
       <div style={{textAlign:'center', fontSize: 28, fontWeight: 900, marginBottom: 12}}>Ahhh the fragility of lesser minds</div>
       <div style={{ maxWidth: 1000, margin: "0 auto" }}>
+        {G.curtain && <PassScreen name={G.names[G.actor]} onReady={G.takeSeat} />}
+        {G.callouts && <CallOuts key={G.actions.length} lines={G.callouts} names={G.names} ms={G.times.callout} />}
         <header style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
-          <h1 style={{ fontSize: 24, fontWeight: 800 }}>Cribbage vs Computer</h1>
-          <div style={{ display: "flex", gap: 12, alignItems: "center", fontSize: 14 }}>
-            <div>AI sims — Peg: <input aria-label="AI Peg Sims" type="range" min="60" max="500" step="10" value={G.mcPeg} onChange={(e)=>G.setMcPeg(parseInt(e.target.value))} /></div>
-            <div>Discard: <input aria-label="AI Discard Sims" type="range" min="200" max="2000" step="100" value={G.mcDiscard} onChange={(e)=>G.setMcDiscard(parseInt(e.target.value))} /></div>
+          <h1 style={{ fontSize: 24, fontWeight: 800 }}>{G.hotseat ? "Cribbage — Pass and Play" : "Cribbage vs Computer"}</h1>
+          <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", justifyContent: "flex-end", fontSize: 14 }}>
+            <select aria-label="Opponent" value={G.hotseat ? "hotseat" : "ai"} onChange={(e)=>G.setHotseat(e.target.value === "hotseat")} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+              <option value="ai">vs Computer</option>
+              <option value="hotseat">Two players, one device</option>
+            </select>
+            {!G.hotseat && (
+            <>
+            <select aria-label="AI Level" value={G.aiLevel} onChange={(e)=>G.setAiLevel(e.target.value)} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+              {Object.values(AI_LEVELS).map(l => <option key={l.level} value={l.level}>{l.name}</option>)}
+              <option value="custom">Custom</option>
+            </select>
+            <select aria-label="AI Personality" value={G.personality} onChange={(e)=>G.setPersonality(e.target.value)} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+              {Object.values(AI_PERSONALITIES).map(p => <option key={p.personality} value={p.personality}>{p.name}</option>)}
+            </select>
+            {G.aiLevel === "custom" && (
+              <>
+                <div>AI sims — Peg: <input aria-label="AI Peg Sims" type="range" min="60" max="500" step="10" value={G.mcPeg} onChange={(e)=>G.setMcPeg(parseInt(e.target.value))} /></div>
+                <div>Discard: <input aria-label="AI Discard Sims" type="range" min="200" max="2000" step="100" value={G.mcDiscard} disabled={G.discardMode === "exact"} onChange={(e)=>G.setMcDiscard(parseInt(e.target.value))} /></div>
+                <select aria-label="AI Discard Mode" value={G.discardMode} onChange={(e)=>G.setDiscardMode(e.target.value)} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+                  <option value="mc">Monte Carlo</option>
+                  <option value="exact">Exact</option>
+                </select>
+              </>
+            )}
             <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
               <input type="checkbox" checked={G.showHands} onChange={(e)=>G.setShowHands(e.target.checked)} />
               Show AI hand
             </label>
+            <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <input type="checkbox" checked={G.countOwn} onChange={(e)=>G.setCountOwn(e.target.checked)} />
+              Count your own
+            </label>
+            <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <input type="checkbox" checked={G.advisorOn} onChange={(e)=>G.setAdvisorOn(e.target.checked)} />
+              Discard advisor
+            </label>
+            </>
+            )}
+            <select aria-label="Animation speed" value={G.animSpeed} onChange={(e)=>G.setAnimSpeed(e.target.value)} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+              {Object.values(ANIMATION_SPEEDS).map(a => <option key={a.speed} value={a.speed}>Animations: {a.name}</option>)}
+            </select>
+            <select aria-label="Card colours" value={G.theme} onChange={(e)=>G.setTheme(e.target.value)} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+              {Object.values(THEMES).map(t => <option key={t.theme} value={t.theme}>Cards: {t.name}</option>)}
+            </select>
             <button onClick={G.redeal} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>New Deal</button>
           </div>
         </header>
 
+        <MatchBoard match={G.match} names={G.names} onNewMatch={G.newMatch} />
+        <RulesPanel rules={G.tableRules} activeRules={G.rules} onChange={G.setTableRules} onRestart={G.restartWithRules} />
+        {G.stats && <SeedBar seed={G.seed} shareQuery={G.shareQuery} onPlaySeed={G.playSeed} onDaily={G.playDaily} />}
+
         {G.gameOver && (
-          <div style={{ background:'#fff7ed', border:'1px solid #fed7aa', color:'#9a3412', padding:10, borderRadius:8, marginBottom:8, fontWeight:700 }}>
-            GAME OVER — {G.winner === 'P' ? 'You win!' : 'AI wins!'}
+          <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', background:'#fff7ed', border:'1px solid #fed7aa', color:'#9a3412', padding:10, borderRadius:8, marginBottom:8, fontWeight:700 }}>
+            <span>
+              GAME OVER — {wins(G.names, G.winner)}!
+              {G.result && G.result.kind !== "win" && ` ${G.result.kind === "double" ? "Double skunk" : "Skunk"} — ${G.result.gamePoints} game points.`}
+            </span>
+            {!G.match.over && (
+              <button onClick={G.nextGame} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #fed7aa", background: "white", color: "#9a3412" }}>Next Game</button>
+            )}
           </div>
         )}
         <div style={{ fontSize: 14, color: "#374151", marginBottom: 8 }}>
-          Dealer: <b>{G.dealer}</b> &nbsp;•&nbsp; Phase: <b>{G.phase}</b> &nbsp;•&nbsp; Scores — You: <b>{G.scores.P}</b> · AI: <b>{G.scores.AI}</b>
+          Dealer: <b>{G.names[G.dealer]}</b> &nbsp;•&nbsp; Phase: <b>{G.phase}</b> &nbsp;•&nbsp; Scores — {G.names.P}: <b>{G.scores.P}</b> · {G.names.AI}: <b>{G.scores.AI}</b>
+          {!G.hotseat && <> &nbsp;•&nbsp; AI: <b>{G.opponentName}</b></>}
+          {G.aiBusy && <span style={{ marginLeft: 12, color: "#6366f1", fontWeight: 600 }}>AI thinking…</span>}
         </div>
 
         {/* Three-track board with finish & path arrows */}
         <div style={{ marginTop: 10, marginBottom: 10 }}>
-          <CribbageBoard scores={G.scores} prevScores={G.prevScores} />
+          <CribbageBoard scores={G.scores} prevScores={G.prevScores} target={G.rules.targetScore} skunkLine={G.rules.skunkLine} doubleSkunkLine={G.rules.doubleSkunkLine} singleLap={!!G.rules.fiveCard} times={G.times} names={G.names} />
         </div>
 
         {G.starter && <div style={{ fontSize: 14, marginBottom: 6 }}>Starter: <b>{cardToString(G.starter)}</b></div>}
-        {G.phase === "pegging" && G.peg && (
-          <div style={{ fontSize: 14, marginBottom: 6 }}>Count: <b>{G.peg.total}</b> — Next: <b>{G.peg.next}</b></div>
+        {G.phase === "pegging" && (
+          <div style={{ fontSize: 14, marginBottom: 6 }}>Count: <b>{G.peg.total}</b> — Next: <b>{G.names[G.peg.next]}</b></div>
         )}
 
-        {G.phase !== "discard" && (
-          <HandRow title={G.showHands ? "AI Hand (shown)" : "AI Hand"} cards={G.showHands? G.aiHand : []} />
+        {G.phase !== "discard" && (G.hotseat
+          ? <HandRow title={`${G.names[other]} Hand`} cards={[]} />
+          : <HandRow title={G.showHands ? "AI Hand (shown)" : "AI Hand"} cards={G.showHands? G.aiHand : []} deal={deal} />
         )}
 
-        {G.phase === "discard" ? (
-          <HandRow title="Your Hand — select 2 for crib" cards={G.pHand} selectable selectedIds={discardSel} onCardClick={(c)=>{
+        {myDiscard ? (
+          <HandRow title={`${handTitle} — select 2 for crib`} cards={hand} selectable selectedIds={discardSel} deal={deal} onCardClick={(c)=>{
             const id = cardToString(c);
             setDiscardSel(sel => sel.includes(id) ? sel.filter(x=>x!==id) : (sel.length<2 ? sel.concat([id]) : sel));
           }} />
+        ) : myPegTurn ? (
+          <HandRow title={`${handTitle} — select a card, P to play`} cards={pegHand} selectable selectedIds={pegSel ? [pegSel] : []} deal={deal} onCardClick={pickPeg} />
         ) : (
-          <HandRow title="Your Hand" cards={G.peg ? G.peg.pHand : G.pHand} />
+          <HandRow title={handTitle} cards={G.peg && G.phase === "pegging" ? pegHand : hand} deal={deal} />
         )}
+        <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 8 }}>
+          Keys: ← → move between your cards · Space selects · D puts 2 in the crib · C cuts · P plays · G says Go
+        </div>
 
-        {G.phase === "discard" && (
+        {myDiscard && (
           <>
             <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
-              <button disabled={!canCommit} onClick={()=>{
-                const selectedCards = G.pHand.filter(c => discardSel.includes(cardToString(c)));
-                G.commitDiscardsSelected(selectedCards);
-              }} style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid #e5e7eb", background: canCommit ? "white" : "#f3f4f6", cursor: canCommit ? "pointer" : "not-allowed" }}>
+              <button disabled={!canCommit} onClick={commitDiscards} style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid #e5e7eb", background: canCommit ? "white" : "#f3f4f6", cursor: canCommit ? "pointer" : "not-allowed" }}>
                 Put 2 in Crib
               </button>
             </div>
-            <HandRow title={`Your Crib Toss (${discardSel.length}/2)`} cards={G.pHand.filter(c => discardSel.includes(cardToString(c)))} />
+            <HandRow title={`Crib Toss (${discardSel.length}/2)`} cards={hand.filter(c => discardSel.includes(cardToString(c)))} />
           </>
         )}
 
-        {G.phase === "cut" && (
-          <button onClick={G.cutStarter} style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>Cut Starter</button>
+        {G.advisorOn && G.advice && (
+          <>
+            <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>
+              Discard Advisor ({G.advice.mode === "exact" ? `exact, with ${G.mcDiscard}-sim Monte Carlo for comparison` : `${G.mcDiscard} sims per toss`})
+            </div>
+            <AdvisorTable advice={G.advice} />
+          </>
+        )}
+
+        {G.hotseat && (myDiscard || myPegTurn) && (
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8, fontSize: 14 }}>
+            <button onClick={G.requestHint} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>AI hint</button>
+            {G.hint && <span style={{ color: "#4f46e5" }}>{G.hint}</span>}
+          </div>
+        )}
+
+        {myCut && (
+          <div style={{ marginBottom: 8 }}>
+            <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 2 }}>Cut the deck — at least {cut.min} cards stay in each packet</div>
+            <CutDeck count={G.deck.length} min={cut.min} max={cut.max} at={cutAt} onMove={setCutAt} onCut={G.cutStarter} />
+            <button onClick={()=>G.cutStarter(cutAt)} style={{ padding: "8px 12px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" }}>Cut {cutAt} cards</button>
+          </div>
         )}
+        {G.phase === "cut" && !myCut && !G.hotseat && <div style={{ fontSize: 14, color: "#6b7280", marginBottom: 8 }}>AI is cutting the deck…</div>}
 
-        {G.phase === "pegging" && G.peg && (
-          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+        {myPegTurn && (
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+            {G.countOwn && pegLegal.length > 0 && (
+              <label style={{ fontSize: 14 }}>Claim: <input aria-label="Claim for play" type="number" min="0" max="12" value={pegClaim} onChange={(e)=>setPegClaim(e.target.value)} style={{ width: 48, padding: "4px 6px", borderRadius: 6, border: "1px solid #e5e7eb" }} /></label>
+            )}
             {pegLegal.map((c,i)=> (
-              <button key={i} disabled={G.gameOver} onClick={()=>G.playPegCard(c)} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: G.gameOver? "#f3f4f6":"white", cursor: G.gameOver? "not-allowed":"pointer" }}>
+              <button key={i} disabled={G.gameOver} onClick={()=>playPeg(c)} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: G.gameOver? "#f3f4f6":"white", cursor: G.gameOver? "not-allowed":"pointer" }}>
                 Play {cardToString(c)}
               </button>
             ))}
             {pegLegal.length === 0 && (
-              <button disabled={G.gameOver} onClick={()=>G.declareGo("P")} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: G.gameOver? "#f3f4f6":"white", cursor: G.gameOver? "not-allowed":"pointer" }}>
+              <button disabled={G.gameOver} onClick={G.declareGo} style={{ padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: G.gameOver? "#f3f4f6":"white", cursor: G.gameOver? "not-allowed":"pointer" }}>
                 Say Go
               </button>
             )}
+            {pegNote && <span role="alert" style={{ fontSize: 14, color: "#991b1b" }}>{pegNote}</span>}
           </div>
         )}
 
-        {G.phase === "pegging" && G.peg && (
+        {G.phase === "pegging" && (
           <div>
             <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Pegging Stack (total {G.peg.total})</div>
-            <div style={{ display: "flex", flexWrap: "wrap" }}>{G.peg.stack.map((c,i)=> <CardView key={i} card={c} />)}</div>
+            <div style={{ display: "flex", flexWrap: "wrap" }}>{G.peg.stack.map((c,i)=> <CardView key={i} card={c} enter={{ duration: G.times.card, from: "below" }} />)}</div>
           </div>
         )}
 
         <div style={{ display: "grid", gridTemplateColumns: "1.1fr 0.9fr", gap: 12, marginTop: 10 }}>
-          <div />
+          <div>
+            {G.awaitingClaims && (
+              <>
+                <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>The Show — count your own</div>
+                <HandRow title="Your Hand" cards={G.pHand} />
+                {G.dealer === "P" && <HandRow title="Your Crib" cards={G.crib} />}
+                <ClaimForm withCrib={G.dealer === "P"} onSubmit={G.submitShowClaims} />
+              </>
+            )}
+            {G.lastShow && !G.awaitingClaims && (
+              <>
+                <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>{G.phase === "show" ? "The Show" : "Last Show"}</div>
+                <ShowPanel result={G.lastShow} />
+              </>
+            )}
+            {G.review && !G.awaitingClaims && (
+              <>
+                <div style={{ fontSize: 12, color: "#6b7280", margin: "10px 0 6px" }}>Your Play Reviewed</div>
+                <ReviewPanel review={G.review} accuracy={G.accuracy} />
+              </>
+            )}
+          </div>
           <div>
             <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Game Log</div>
             <div style={{ maxHeight: 300, overflow: "auto", background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 14, lineHeight: "1.5" }}>
               {G.log.map((l,i)=> <div key={i} style={{ color: "#374151" }}>{l}</div>)}
-              {G.phase === "show" && <div style={{ color: "#6b7280" }}>Scoring complete. New deal will begin automatically.</div>}
+              {G.phase === "show" && (G.awaitingClaims
+                ? <div style={{ color: "#6b7280" }}>Waiting for your count.</div>
+                : <div style={{ color: "#6b7280" }}>Scoring complete. New deal will begin automatically.</div>)}
             </div>
+            {G.stats && !G.hotseat && (
+              <>
+                <div style={{ fontSize: 12, color: "#6b7280", margin: "10px 0 6px" }}>Lifetime Stats</div>
+                <StatsPanel stats={G.stats} onReset={G.resetStats} />
+              </>
+            )}
           </div>
         </div>
 
         <footer style={{ fontSize: 12, textAlign: "center", color: "#6b7280", padding: 16 }}>
-          AI uses Monte Carlo rollouts based on seen information only — like a perfect, honest human opponent. House 7-9-8 bonus enabled.
+          AI uses Monte Carlo rollouts based on seen information only — like a perfect, honest human opponent. Rules — {describeRules(G.rules)}.
         </footer>
       </div>
     </main>
+    </ThemeProvider>
   );
 }
@@ -0,0 +1,228 @@
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { cardToString, legalPlays } from "../lib/cribbage";
+import { RULE_PRESETS, describeRules } from "../lib/rules";
+import { CUT_MIN } from "../lib/gameMachine";
+import { roomToken, rememberRoom } from "../lib/storage";
+import { CribbageBoard } from "../components/CribbageBoard";
+import { CardView, HandRow, CutDeck } from "../components/Cards";
+import { ShowPanel } from "../components/ShowPanel";
+
+/** ---------------------- Online Play ---------------------- */
+// One player opens a room and shares its code; the other joins with it. The game lives on the
+// server (lib/rooms.js): this page only sends moves and draws the view pushed back over the
+// room's event stream, which never includes the other hand or the deck.
+const buttonStyle = { padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" };
+const panelStyle = { background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 14 };
+const other = (who) => (who === "P" ? "AI" : "P");
+
+async function post(url, body) {
+  const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  if (res.status === 204) return null;
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error);
+  return data;
+}
+
+// Joins (or rejoins, with a remembered token) the room and follows its event stream.
+function useRoom(code) {
+  const [ticket, setTicket] = useState(null);
+  const [view, setView] = useState(null);
+  const [error, setError] = useState(null);
+  const [online, setOnline] = useState(false);
+
+  useEffect(()=>{
+    if (!code) return;
+    let source = null, gone = false;
+    post(`/api/rooms/${code}/join`, { token: roomToken(code) }).then(t => {
+      if (gone) return;
+      rememberRoom(t.code, t.token);
+      setTicket(t);
+      source = new EventSource(`/api/rooms/${t.code}/events?token=${encodeURIComponent(t.token)}`);
+      source.onopen = () => setOnline(true);
+      source.onmessage = (e) => setView(JSON.parse(e.data));
+      // EventSource retries on its own; it only gives up when the server refuses the stream.
+      source.onerror = () => {
+        setOnline(false);
+        if (source.readyState === EventSource.CLOSED) setError("Lost the room — the server may have restarted.");
+      };
+    }).catch(e => setError(e.message));
+    return () => { gone = true; if (source) source.close(); };
+  }, [code]);
+
+  const send = (move) => {
+    setError(null);
+    post(`/api/rooms/${ticket.code}/move`, { token: ticket.token, move }).catch(e => setError(e.message));
+  };
+  return { ticket, view, error, online, send };
+}
+
+function Lobby({ onCreate, onJoin, error }) {
+  const [preset, setPreset] = useState("standard");
+  const [code, setCode] = useState("");
+  return (
+    <div style={{ ...panelStyle, display: "grid", gap: 12, maxWidth: 420 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <select aria-label="Rules" value={preset} onChange={(e)=>setPreset(e.target.value)} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+          {Object.values(RULE_PRESETS).map(r => <option key={r.preset} value={r.preset}>{describeRules(r)}</option>)}
+        </select>
+        <button onClick={()=>onCreate(preset)} style={buttonStyle}>Create room</button>
+      </div>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <input aria-label="Room code" placeholder="Room code" value={code} onChange={(e)=>setCode(e.target.value.toUpperCase())} style={{ width: 110, padding: "6px 8px", borderRadius: 6, border: "1px solid #e5e7eb", fontFamily: "monospace" }} />
+        <button disabled={!code.trim()} onClick={()=>onJoin(code.trim())} style={buttonStyle}>Join room</button>
+      </div>
+      {error && <div style={{ color: "#991b1b" }}>{error}</div>}
+    </div>
+  );
+}
+
+function RoomBar({ view, online }) {
+  const [copied, setCopied] = useState(false);
+  const opp = view.players[other(view.seat)];
+  const link = () => `${window.location.origin}${window.location.pathname}?room=${view.code}`;
+  return (
+    <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", fontSize: 13, color: "#374151", marginBottom: 8 }}>
+      <span>Room <b style={{ fontFamily: "monospace" }}>{view.code}</b></span>
+      <button onClick={()=>{ navigator.clipboard.writeText(link()).then(()=>setCopied(true)); setTimeout(()=>setCopied(false), 1500); }} style={{ ...buttonStyle, padding: "4px 10px" }}>
+        {copied ? "Link copied" : "Copy invite link"}
+      </button>
+      <span>Opponent: <b>{!opp.joined ? "waiting to join" : (opp.online ? "connected" : "away")}</b></span>
+      {!online && <span style={{ color: "#b45309" }}>Reconnecting…</span>}
+    </div>
+  );
+}
+
+function Table({ view, send }) {
+  const [sel, setSel] = useState([]);
+  const me = view.seat, opp = other(me);
+  const name = (who) => (who === me ? "You" : "Opponent");
+  const pegging = view.phase === "pegging" && view.peg;
+  const myTurn = pegging && view.peg.next === me && !view.gameOver;
+  const legal = myTurn ? legalPlays(view.peg.hand, view.peg.total) : [];
+  const discarding = view.phase === "discard" && !view.tossed;
+  const [cutAt, setCutAt] = useState(CUT_MIN);
+  useEffect(()=>{ setSel([]); setCutAt(Math.floor(view.deckCount / 2)); }, [view.phase, view.dealer]);
+
+  return (
+    <>
+      {view.gameOver && (
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", background: "#fff7ed", border: "1px solid #fed7aa", color: "#9a3412", padding: 10, borderRadius: 8, marginBottom: 8, fontWeight: 700 }}>
+          <span>
+            GAME OVER — {view.winner === me ? "You win" : "Opponent wins"}!
+            {view.result && view.result.kind !== "win" && ` ${view.result.kind === "double" ? "Double skunk" : "Skunk"}.`}
+          </span>
+          <button onClick={()=>send({ type: "rematch" })} style={{ ...buttonStyle, border: "1px solid #fed7aa", color: "#9a3412" }}>Rematch</button>
+        </div>
+      )}
+      <div style={{ fontSize: 14, color: "#374151", marginBottom: 8 }}>
+        Dealer: <b>{name(view.dealer)}</b> &nbsp;•&nbsp; Phase: <b>{view.phase}</b> &nbsp;•&nbsp; Scores — You: <b>{view.scores[me]}</b> · Opponent: <b>{view.scores[opp]}</b>
+      </div>
+      <div style={{ marginTop: 10, marginBottom: 10 }}>
+        <CribbageBoard scores={view.scores} prevScores={view.prevScores} target={view.rules.targetScore} skunkLine={view.rules.skunkLine} doubleSkunkLine={view.rules.doubleSkunkLine} singleLap={!!view.rules.fiveCard} names={{ P: name("P"), AI: name("AI") }} />
+      </div>
+
+      {view.starter && <div style={{ fontSize: 14, marginBottom: 6 }}>Starter: <b>{cardToString(view.starter)}</b></div>}
+      {pegging && <div style={{ fontSize: 14, marginBottom: 6 }}>Count: <b>{view.peg.total}</b> — Next: <b>{name(view.peg.next)}</b></div>}
+
+      <HandRow title={`Opponent Hand (${pegging ? view.peg.oppCount : view.oppCount} cards)`} cards={view.oppHand || []} />
+      {discarding ? (
+        <HandRow title="Your Hand — select 2 for crib" cards={view.hand} selectable selectedIds={sel} onCardClick={(c)=>{
+          const id = cardToString(c);
+          setSel(s => s.includes(id) ? s.filter(x=>x!==id) : (s.length<2 ? s.concat([id]) : s));
+        }} />
+      ) : (
+        <HandRow title="Your Hand" cards={pegging ? view.peg.hand : view.hand} />
+      )}
+      {discarding && (
+        <button disabled={sel.length !== 2} onClick={()=>send({ type: "discard", cards: view.hand.filter(c => sel.includes(cardToString(c))) })} style={{ ...buttonStyle, marginBottom: 8, background: sel.length === 2 ? "white" : "#f3f4f6" }}>
+          Put 2 in Crib
+        </button>
+      )}
+      {view.phase === "discard" && view.tossed && <div style={{ fontSize: 14, color: "#6b7280", marginBottom: 8 }}>Waiting for the opponent's discard…</div>}
+      {view.phase === "cut" && (view.dealer === me
+        ? <div style={{ fontSize: 14, color: "#6b7280", marginBottom: 8 }}>Waiting for the opponent to cut…</div>
+        : (
+          <div style={{ marginBottom: 8 }}>
+            <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 2 }}>Cut the deck — at least {CUT_MIN} cards stay in each packet</div>
+            <CutDeck count={view.deckCount} min={CUT_MIN} max={view.deckCount - CUT_MIN} at={cutAt} onMove={setCutAt} onCut={(at)=>send({ type: "cut", at })} />
+            <button onClick={()=>send({ type: "cut", at: cutAt })} style={buttonStyle}>Cut {cutAt} cards</button>
+          </div>
+        ))}
+
+      {myTurn && (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+          {legal.map((c,i)=> <button key={i} onClick={()=>send({ type: "play", card: c })} style={buttonStyle}>Play {cardToString(c)}</button>)}
+          {legal.length === 0 && <button onClick={()=>send({ type: "go" })} style={buttonStyle}>Say Go</button>}
+        </div>
+      )}
+      {pegging && (
+        <div>
+          <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Pegging Stack (total {view.peg.total})</div>
+          <div style={{ display: "flex", flexWrap: "wrap", minHeight: 72 }}>{view.peg.stack.map((c,i)=> <CardView key={i} card={c} />)}</div>
+        </div>
+      )}
+
+      <div style={{ display: "grid", gridTemplateColumns: "1.1fr 0.9fr", gap: 12, marginTop: 10 }}>
+        <div>
+          {view.showResult && (
+            <>
+              <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>The Show</div>
+              <ShowPanel result={view.showResult} />
+              {!view.gameOver && <button onClick={()=>send({ type: "next" })} style={{ ...buttonStyle, marginTop: 8 }}>Next Deal</button>}
+            </>
+          )}
+        </div>
+        <div>
+          <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Game Log (you are {me === "P" ? "Player 1" : "Player 2"})</div>
+          <div style={{ ...panelStyle, maxHeight: 300, overflow: "auto", lineHeight: "1.5" }}>
+            {view.log.map((l,i)=> <div key={i} style={{ color: "#374151" }}>{l}</div>)}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default function OnlinePage() {
+  const [code, setCode] = useState(null);
+  const [lobbyError, setLobbyError] = useState(null);
+  const room = useRoom(code);
+
+  // ?room=CODE opens (or resumes) that room straight away.
+  useEffect(()=>{
+    const wanted = new URLSearchParams(window.location.search).get("room");
+    if (wanted) setCode(wanted.toUpperCase());
+  }, []);
+  useEffect(()=>{
+    if (code) window.history.replaceState(null, "", `${window.location.pathname}?room=${code}`);
+  }, [code]);
+
+  function create(preset) {
+    post("/api/rooms", { rules: preset }).then(t => { rememberRoom(t.code, t.token); setCode(t.code); }).catch(e => setLobbyError(e.message));
+  }
+
+  return (
+    <main style={{ minHeight: "100vh", background: "linear-gradient(135deg, #f8fafc, #eef2ff)", padding: 16 }}>
+      <div style={{ maxWidth: 1000, margin: "0 auto" }}>
+        <header style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+          <h1 style={{ fontSize: 24, fontWeight: 800 }}>Cribbage Online</h1>
+          <Link href="/" style={{ color: "#4f46e5", fontSize: 14 }}>Back to the table</Link>
+        </header>
+
+        {!code && <Lobby onCreate={create} onJoin={setCode} error={lobbyError} />}
+        {code && room.error && <div style={{ background: "#fef2f2", border: "1px solid #fecaca", color: "#991b1b", padding: 8, borderRadius: 8, marginBottom: 8, fontSize: 14 }}>{room.error}</div>}
+        {code && !room.ticket && !room.error && <div style={{ fontSize: 14, color: "#6b7280" }}>Joining room {code}…</div>}
+        {room.view && (
+          <>
+            <RoomBar view={room.view} online={room.online} />
+            {room.view.players.AI.joined
+              ? <Table view={room.view} send={room.send} />
+              : <div style={{ ...panelStyle, color: "#6b7280" }}>Waiting for the other player. Send them the invite link or the room code.</div>}
+            <footer style={{ fontSize: 12, textAlign: "center", color: "#6b7280", padding: 16 }}>Rules — {describeRules(room.view.rules)}.</footer>
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,254 @@
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { cardToString, cardsEqual, legalPlays } from "../lib/cribbage";
+import { BUILTIN_PUZZLES, PUZZLE_FORMAT, PUZZLE_VERSION, parsePuzzle, puzzleJSON, isBestPlay, describeLine } from "../lib/puzzles";
+import { loadPuzzles, savePuzzle, deletePuzzle } from "../lib/storage";
+import { CardView, HandRow } from "../components/Cards";
+
+/** ---------------------- Pegging Puzzles ---------------------- */
+// Hand-built pegging positions (lib/puzzles.js): pick your play, then see every card's value and
+// the best line after it. Solving runs in the AI worker; a puzzle can be shared as JSON or as a
+// link carrying the JSON (?p=).
+const buttonStyle = { padding: "4px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" };
+const panelStyle = { background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 13 };
+const inputStyle = { padding: "4px 6px", borderRadius: 6, border: "1px solid #e5e7eb" };
+const signed = (n) => (n > 0 ? `+${n}` : String(n));
+const net = (n) => signed(Math.round(n * 100) / 100);
+
+// A fresh worker per puzzle: switching puzzles mid-search simply terminates the old one.
+function useSolution(json) {
+  const [solution, setSolution] = useState(null);
+  useEffect(()=>{
+    setSolution(null);
+    if (!json) return;
+    const w = new Worker(new URL("../lib/ai.worker.js", import.meta.url));
+    w.onmessage = (e) => setSolution(e.data.result);
+    w.postMessage({ id: 1, type: "puzzle", payload: { puzzle: json, seed: 0 } });
+    return () => w.terminate();
+  }, [json]);
+  return solution;
+}
+
+const shareLink = (json) => `${window.location.origin}/puzzles?p=${encodeURIComponent(JSON.stringify(json))}`;
+
+function PuzzleList({ mine, current, onOpen, onNew }) {
+  const item = (json, key) => (
+    <button key={key} onClick={()=>onOpen(json)} style={{ ...buttonStyle, display: "block", width: "100%", textAlign: "left", marginBottom: 4, background: current && current.title === json.title ? "#eef2ff" : "white" }}>
+      {json.title}
+    </button>
+  );
+  return (
+    <div style={panelStyle}>
+      <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Puzzles</div>
+      {BUILTIN_PUZZLES.map((json, i) => item(json, `b${i}`))}
+      {mine.length > 0 && <div style={{ fontSize: 12, color: "#6b7280", margin: "8px 0 6px" }}>Yours</div>}
+      {mine.map((json, i) => item(json, `m${i}`))}
+      <button onClick={onNew} style={{ ...buttonStyle, marginTop: 8 }}>New puzzle…</button>
+    </div>
+  );
+}
+
+// Every candidate, best first. With the opponent's hand unknown each row shows the average and
+// the hands that suit the play most and least.
+function SolutionTable({ puzzle, solution, chosen }) {
+  const rows = solution.rows.slice().sort((a, b) => b.net - a.net);
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse" }}>
+      <thead>
+        <tr style={{ color: "#6b7280", textAlign: "left" }}>
+          <th style={{ padding: "2px 4px" }}>Play</th>
+          <th style={{ padding: "2px 4px" }}>Net</th>
+          <th style={{ padding: "2px 4px" }}>{puzzle.opp ? "Best line" : "Best and worst case"}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r, i) => (
+          <tr key={i} style={{ borderTop: "1px solid #f3f4f6", verticalAlign: "top", background: chosen && cardsEqual(r.card, chosen) ? "#eef2ff" : "transparent" }}>
+            <td style={{ padding: "2px 4px", fontWeight: 600 }}>{cardToString(r.card)}{r.net >= solution.top - 1e-9 ? " ★" : ""}</td>
+            <td style={{ padding: "2px 4px" }}>{net(r.net)}</td>
+            <td style={{ padding: "2px 4px" }}>
+              {puzzle.opp ? describeLine(r.line) : (
+                <>
+                  <div>{signed(r.best.net)} against {r.best.opp.map(cardToString).join(" ")}: {describeLine(r.best.line)}</div>
+                  <div style={{ color: "#6b7280" }}>{signed(r.worst.net)} against {r.worst.opp.map(cardToString).join(" ")}: {describeLine(r.worst.line)}</div>
+                </>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function PuzzleView({ json, onEdit }) {
+  const puzzle = parsePuzzle(json);
+  const solution = useSolution(json);
+  const [chosen, setChosen] = useState(null);
+  const [copied, setCopied] = useState(false);
+  useEffect(()=>{ setChosen(null); setCopied(false); }, [json]);
+  const legal = legalPlays(puzzle.you, puzzle.total);
+  const copy = () => navigator.clipboard.writeText(shareLink(json)).then(()=>setCopied(true));
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 8, flexWrap: "wrap" }}>
+        <h2 style={{ fontSize: 18, fontWeight: 700, margin: 0 }}>{puzzle.title}</h2>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button onClick={copy} style={buttonStyle}>{copied ? "Link copied" : "Copy link"}</button>
+          <button onClick={()=>onEdit(json)} style={buttonStyle}>Edit a copy</button>
+        </div>
+      </div>
+      {puzzle.note && <div style={{ fontSize: 14, color: "#374151", margin: "6px 0" }}>{puzzle.note}</div>}
+      <div style={{ fontSize: 14, margin: "8px 0" }}>
+        Count: <b>{puzzle.total}</b>{puzzle.oppGo && <span style={{ marginLeft: 12, color: "#9a3412", fontWeight: 600 }}>Opponent has said Go</span>}
+      </div>
+      <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Pegging Stack</div>
+      <div style={{ display: "flex", flexWrap: "wrap", minHeight: 72 }}>{puzzle.stack.map((c, i)=> <CardView key={i} card={c} />)}</div>
+      {puzzle.opp ? <HandRow title="Opponent's Hand" cards={puzzle.opp} /> : (
+        <div style={{ fontSize: 14, marginBottom: 8 }}>
+          Opponent holds <b>{puzzle.oppCards}</b> unseen {puzzle.oppCards === 1 ? "card" : "cards"}
+          {puzzle.known.length > 0 && <span style={{ color: "#6b7280" }}> (not among {puzzle.known.map(cardToString).join(" ")})</span>}
+        </div>
+      )}
+      <HandRow title={chosen ? "Your Hand" : "Your Hand — choose your play"} cards={puzzle.you} selectable={!chosen}
+        selectedIds={chosen ? [cardToString(chosen)] : []}
+        onCardClick={(c)=>{ if (!chosen && legal.includes(c)) setChosen(c); }} />
+
+      {chosen && (
+        <div style={{ ...panelStyle, marginTop: 4 }}>
+          {!solution ? <div style={{ color: "#6b7280" }}>Solving…</div> : (
+            <>
+              <div style={{ fontWeight: 700, fontSize: 14, marginBottom: 6, color: isBestPlay(solution, chosen) ? "#166534" : "#991b1b" }}>
+                {isBestPlay(solution, chosen) ? `${cardToString(chosen)} is best.` : `${cardToString(chosen)} is not best — ${cardToString(solution.best.card)} is.`}
+              </div>
+              <SolutionTable puzzle={puzzle} solution={solution} chosen={chosen} />
+              <div style={{ fontSize: 12, color: "#6b7280", marginTop: 6 }}>
+                Net is what you peg less what the opponent pegs for the rest of the play, both sides playing their best
+                {puzzle.opp ? "." : ", averaged over every hand they could hold."}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** ---------------------- Editor ---------------------- */
+// Cards are typed as in game records ("7H 10S QC"); the JSON below follows the fields and can be
+// pasted over to load a puzzle.
+const codes = (text) => String(text).split(/[\s,]+/).filter(Boolean);
+const blankFields = { title: "", note: "", stack: "", you: "", opp: "", hidden: false, oppCards: 4, known: "", oppGo: false };
+
+function fieldsFrom(json) {
+  const p = puzzleJSON(parsePuzzle(json));
+  return {
+    title: p.title, note: p.note || "", stack: p.stack.join(" "), you: p.you.join(" "), opp: (p.opp || []).join(" "),
+    hidden: !p.opp, oppCards: p.oppCards ?? 4, known: (p.known || []).join(" "), oppGo: p.oppGo,
+  };
+}
+
+function jsonFrom(f) {
+  return {
+    format: PUZZLE_FORMAT, version: PUZZLE_VERSION, title: f.title.trim() || "Untitled puzzle", ...(f.note.trim() ? { note: f.note.trim() } : {}),
+    stack: codes(f.stack), you: codes(f.you),
+    ...(f.hidden ? { opp: null, oppCards: Number(f.oppCards), known: codes(f.known) } : { opp: codes(f.opp) }),
+    oppGo: f.oppGo,
+  };
+}
+
+function PuzzleEditor({ initial, onTry, onSave }) {
+  const [f, setF] = useState(initial ? fieldsFrom(initial) : blankFields);
+  const [text, setText] = useState("");
+  const [loadError, setLoadError] = useState(null);
+  const json = jsonFrom(f);
+  let error = null, normalized = null;
+  try { normalized = puzzleJSON(parsePuzzle(json)); } catch (e) { error = e.message; }
+  const set = (key) => (e) => setF({ ...f, [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value });
+  const row = (label, input) => (
+    <label style={{ display: "grid", gridTemplateColumns: "150px 1fr", gap: 8, alignItems: "center", marginBottom: 6 }}>
+      <span>{label}</span>{input}
+    </label>
+  );
+  const load = () => {
+    try { setF(fieldsFrom(text)); setLoadError(null); } catch (e) { setLoadError(e.message); }
+  };
+  return (
+    <div style={{ ...panelStyle, fontSize: 14 }}>
+      {row("Title", <input value={f.title} onChange={set("title")} style={inputStyle} />)}
+      {row("Note", <input value={f.note} onChange={set("note")} style={inputStyle} />)}
+      {row("Stack (oldest first)", <input value={f.stack} onChange={set("stack")} placeholder="7H 8D" style={inputStyle} />)}
+      {row("Your cards", <input value={f.you} onChange={set("you")} placeholder="9S 6C KD" style={inputStyle} />)}
+      {row("Opponent unseen", <input type="checkbox" checked={f.hidden} onChange={set("hidden")} style={{ justifySelf: "start" }} />)}
+      {f.hidden ? (
+        <>
+          {row("Opponent holds", <input type="number" min="0" max="4" value={f.oppCards} onChange={set("oppCards")} style={{ ...inputStyle, width: 56 }} />)}
+          {row("Cards they can't hold", <input value={f.known} onChange={set("known")} placeholder="starter, your discards, earlier plays" style={inputStyle} />)}
+        </>
+      ) : row("Opponent's cards", <input value={f.opp} onChange={set("opp")} placeholder="9H 5C" style={inputStyle} />)}
+      {row("Opponent said Go", <input type="checkbox" checked={f.oppGo} onChange={set("oppGo")} style={{ justifySelf: "start" }} />)}
+
+      <div style={{ color: error ? "#991b1b" : "#166534", margin: "6px 0" }}>{error || `Count ${normalized.total}, ready to try.`}</div>
+      <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+        <button disabled={!!error} onClick={()=>onTry(normalized)} style={buttonStyle}>Try it</button>
+        <button disabled={!!error} onClick={()=>onSave(normalized)} style={buttonStyle}>Save to your puzzles</button>
+      </div>
+
+      <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 4 }}>JSON</div>
+      <pre style={{ background: "#f9fafb", border: "1px solid #e5e7eb", borderRadius: 6, padding: 6, fontSize: 12, whiteSpace: "pre-wrap", margin: "0 0 8px" }}>{JSON.stringify(normalized || json, null, 2)}</pre>
+      <div style={{ display: "flex", gap: 8, alignItems: "flex-start" }}>
+        <textarea aria-label="Puzzle to load" placeholder="Paste a puzzle (JSON)" value={text} onChange={(e)=>setText(e.target.value)} rows={3} style={{ flex: 1, padding: 6, borderRadius: 6, border: "1px solid #e5e7eb", fontFamily: "monospace", fontSize: 12 }} />
+        <button disabled={!text.trim()} onClick={load} style={buttonStyle}>Load</button>
+      </div>
+      {loadError && <div style={{ color: "#991b1b", marginTop: 4 }}>{loadError}</div>}
+    </div>
+  );
+}
+
+export default function PuzzlesPage() {
+  const [current, setCurrent] = useState(BUILTIN_PUZZLES[0]);
+  const [editing, setEditing] = useState(null); // { initial } while the editor is open
+  const [mine, setMine] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(()=>{
+    setMine(loadPuzzles());
+    const shared = new URLSearchParams(window.location.search).get("p");
+    if (!shared) return;
+    try { setCurrent(puzzleJSON(parsePuzzle(shared))); } catch (e) { setError(`The shared puzzle could not be opened: ${e.message}`); }
+  }, []);
+
+  const open = (json) => { setCurrent(json); setEditing(null); setError(null); };
+  const save = (json) => { savePuzzle(json); setMine(loadPuzzles()); open(json); };
+  const isMine = mine.some(p => p.title === current.title);
+
+  return (
+    <main style={{ minHeight: "100vh", background: "linear-gradient(135deg, #f8fafc, #eef2ff)", padding: 16 }}>
+      <div style={{ maxWidth: 1000, margin: "0 auto" }}>
+        <header style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+          <h1 style={{ fontSize: 24, fontWeight: 800 }}>Pegging Puzzles</h1>
+          <Link href="/" style={{ color: "#4f46e5", fontSize: 14 }}>Back to the table</Link>
+        </header>
+        {error && <div style={{ background: "#fef2f2", border: "1px solid #fecaca", color: "#991b1b", padding: 8, borderRadius: 8, marginBottom: 8, fontSize: 14 }}>{error}</div>}
+
+        <div style={{ display: "grid", gridTemplateColumns: "220px 1fr", gap: 12 }}>
+          <div>
+            <PuzzleList mine={mine} current={editing ? null : current} onOpen={open} onNew={()=>setEditing({ initial: null })} />
+            {isMine && !editing && (
+              <button onClick={()=>{ deletePuzzle(current.title); setMine(loadPuzzles()); setCurrent(BUILTIN_PUZZLES[0]); }} style={{ ...buttonStyle, marginTop: 8 }}>Delete “{current.title}”</button>
+            )}
+          </div>
+          <div>
+            {editing
+              ? <PuzzleEditor key={editing.initial ? JSON.stringify(editing.initial) : "new"} initial={editing.initial} onTry={open} onSave={save} />
+              : <PuzzleView json={current} onEdit={(json)=>setEditing({ initial: json })} />}
+          </div>
+        </div>
+
+        <footer style={{ fontSize: 12, textAlign: "center", color: "#6b7280", padding: 16 }}>
+          Cards are written rank + suit letter: A 2 … 10 J Q K and C D H S, e.g. AC, 10H, QS.
+        </footer>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,202 @@
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { cardToString } from "../lib/cribbage";
+import { describeRules } from "../lib/rules";
+import { seatName } from "../lib/gameMachine";
+import { buildRecord, parseRecord } from "../lib/record";
+import { loadSave, loadArchive } from "../lib/storage";
+import { CribbageBoard } from "../components/CribbageBoard";
+import { CardView, HandRow } from "../components/Cards";
+
+/** ---------------------- Replay Viewer ---------------------- */
+// Opens a game record (the game in progress, a finished game from the archive, or an imported
+// file) and steps through it one move at a time.
+const buttonStyle = { padding: "4px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" };
+const panelStyle = { background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 13 };
+
+function plainRecord(rec) {
+  const { actions, steps, ...plain } = rec;
+  return plain;
+}
+
+function downloadRecord(rec) {
+  const blob = new Blob([JSON.stringify(plainRecord(rec), null, 2)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = `cribbage-${rec.seed}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+const describeResult = (r) => (r
+  ? `${r.winner === "P" ? "You won" : "AI won"} ${r.scores.P}–${r.scores.AI}${r.kind === "win" ? "" : (r.kind === "double" ? ", double skunk" : ", skunk")}`
+  : "unfinished");
+
+// The game on the table is only offered once it is over: its record shows every hand and crib.
+function RecordPicker({ archive, onOpen, onError }) {
+  const [text, setText] = useState("");
+  const [currentOver, setCurrentOver] = useState(false);
+  useEffect(()=>{ const save = loadSave(); setCurrentOver(!!(save && save.game.gameOver)); }, []);
+  const openCurrent = () => {
+    const save = loadSave();
+    if (save && save.game.gameOver) onOpen(buildRecord(save.game, save.actions)); else onError("There is no finished game to review.");
+  };
+  const openFile = (file) => { if (file) file.text().then(onOpen); };
+  return (
+    <div style={{ ...panelStyle, marginBottom: 8 }}>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+        {currentOver && <button onClick={openCurrent} style={buttonStyle}>Current game</button>}
+        {archive.map((rec, i) => (
+          <button key={i} onClick={()=>onOpen(rec)} style={buttonStyle}>Seed {rec.seed} — {describeResult(rec.result)}</button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 8, alignItems: "flex-start", flexWrap: "wrap" }}>
+        <textarea aria-label="Record to import" placeholder="Paste a game record (JSON)" value={text} onChange={(e)=>setText(e.target.value)} rows={3} style={{ flex: 1, minWidth: 240, padding: 6, borderRadius: 6, border: "1px solid #e5e7eb", fontFamily: "monospace", fontSize: 12 }} />
+        <button disabled={!text.trim()} onClick={()=>onOpen(text)} style={buttonStyle}>Import</button>
+        <label style={{ ...buttonStyle, cursor: "pointer" }}>
+          Open file… <input type="file" accept=".json,application/json" onChange={(e)=>openFile(e.target.files[0])} style={{ display: "none" }} />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+function DealTable({ deals, dealSteps, current, onJump }) {
+  const cell = { padding: "2px 6px" };
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse" }}>
+      <thead>
+        <tr style={{ color: "#6b7280", textAlign: "left" }}>
+          <th style={cell}>#</th><th style={cell}>Dealer</th><th style={cell}>Starter</th><th style={cell}>Show P / AI / crib</th><th style={cell}>Score</th>
+        </tr>
+      </thead>
+      <tbody>
+        {deals.map((d, i) => (
+          <tr key={i} onClick={()=>onJump(dealSteps[i])} style={{ borderTop: "1px solid #f3f4f6", cursor: "pointer", background: i === current ? "#e0e7ff" : "transparent", color: d.thrownIn ? "#9ca3af" : "inherit" }}>
+            <td style={cell}>{i + 1}</td>
+            <td style={cell}>{d.dealer}</td>
+            <td style={cell}>{d.thrownIn ? "thrown in" : (d.starter ? `${d.starter}${d.cut != null ? ` (cut ${d.cut})` : ""}` : "—")}</td>
+            <td style={cell}>{d.show ? `${d.show.P} / ${d.show.AI} / ${d.show.crib}` : "—"}</td>
+            <td style={cell}>{d.scores.P}–{d.scores.AI}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function StepView({ state }) {
+  const pegging = state.phase === "pegging";
+  return (
+    <>
+      <div style={{ fontSize: 14, color: "#374151", marginBottom: 8 }}>
+        Dealer: <b>{state.dealer}</b> &nbsp;•&nbsp; Phase: <b>{state.phase}</b> &nbsp;•&nbsp; Scores — You: <b>{state.scores.P}</b> · AI: <b>{state.scores.AI}</b>
+        {state.starter && <> &nbsp;•&nbsp; Starter: <b>{cardToString(state.starter)}</b></>}
+      </div>
+      <div style={{ marginBottom: 10 }}>
+        <CribbageBoard scores={state.scores} prevScores={state.prevScores} target={state.rules.targetScore} skunkLine={state.rules.skunkLine} doubleSkunkLine={state.rules.doubleSkunkLine} singleLap={!!state.rules.fiveCard} names={state.options.hotseat ? { P: "Player 1", AI: "Player 2" } : null} />
+      </div>
+      <HandRow title={state.options.hotseat ? "Player 2 Hand" : "AI Hand"} cards={pegging ? state.peg.aiHand : state.aiHand} />
+      <HandRow title={state.options.hotseat ? "Player 1 Hand" : "Your Hand"} cards={pegging ? state.peg.pHand : state.pHand} />
+      {state.crib.length > 0 && <HandRow title={`Crib (${seatName(state, state.dealer)})`} cards={state.crib} />}
+      {pegging && (
+        <div>
+          <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Pegging Stack (total {state.peg.total})</div>
+          <div style={{ display: "flex", flexWrap: "wrap", minHeight: 72 }}>{state.peg.stack.map((c,i)=> <CardView key={i} card={c} />)}</div>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default function ReplayPage() {
+  const [archive, setArchive] = useState([]);
+  const [rec, setRec] = useState(null);
+  const [step, setStep] = useState(0);
+  const [error, setError] = useState(null);
+  useEffect(()=>{ setArchive(loadArchive()); }, []);
+
+  function open(source) {
+    try {
+      setRec(parseRecord(source)); setStep(0); setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  }
+
+  const last = rec ? rec.steps.length - 1 : 0;
+  const go = (i) => setStep(Math.max(0, Math.min(last, i)));
+  useEffect(()=>{
+    if (!rec) return;
+    const onKey = (e) => {
+      if (e.target.tagName === "TEXTAREA" || e.target.tagName === "INPUT") return;
+      if (e.key === "ArrowLeft") setStep(s => Math.max(0, s - 1));
+      if (e.key === "ArrowRight") setStep(s => Math.min(last, s + 1));
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [rec, last]);
+
+  // Index of the step that dealt each deal, and the deal the current step belongs to.
+  const dealSteps = rec ? rec.steps.map((s, i) => (s.move === "deal" || s.move === "redeal" ? i : -1)).filter(i => i >= 0) : [];
+  const currentDeal = dealSteps.filter(i => i <= step).length - 1;
+  const cur = rec && rec.steps[step];
+
+  return (
+    <main style={{ minHeight: "100vh", background: "linear-gradient(135deg, #f8fafc, #eef2ff)", padding: 16 }}>
+      <div style={{ maxWidth: 1000, margin: "0 auto" }}>
+        <header style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+          <h1 style={{ fontSize: 24, fontWeight: 800 }}>Game Replay</h1>
+          <Link href="/" style={{ color: "#4f46e5", fontSize: 14 }}>Back to the table</Link>
+        </header>
+
+        <RecordPicker archive={archive} onOpen={open} onError={setError} />
+        {error && <div style={{ background: "#fef2f2", border: "1px solid #fecaca", color: "#991b1b", padding: 8, borderRadius: 8, marginBottom: 8, fontSize: 14 }}>{error}</div>}
+
+        {rec && (
+          <>
+            <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", fontSize: 14, marginBottom: 8 }}>
+              <span>Seed <b>{rec.seed}</b> — {describeResult(rec.result)} — {describeRules(rec.rules)}</span>
+              {rec.dealCuts && <span>Cut for deal: {rec.dealCuts.map(c => `P ${c.P} / AI ${c.AI}`).join(", then ")}</span>}
+              <button onClick={()=>downloadRecord(rec)} style={buttonStyle}>Export record</button>
+            </div>
+            <div style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap", marginBottom: 8 }}>
+              <button aria-label="First step" onClick={()=>go(0)} style={buttonStyle}>⏮</button>
+              <button aria-label="Previous deal" onClick={()=>go(dealSteps[Math.max(0, step === dealSteps[currentDeal] ? currentDeal - 1 : currentDeal)])} style={buttonStyle}>« Deal</button>
+              <button aria-label="Previous step" onClick={()=>go(step - 1)} style={buttonStyle}>◀</button>
+              <input aria-label="Step" type="range" min="0" max={last} value={step} onChange={(e)=>go(parseInt(e.target.value, 10))} style={{ flex: 1, minWidth: 160 }} />
+              <button aria-label="Next step" onClick={()=>go(step + 1)} style={buttonStyle}>▶</button>
+              <button aria-label="Next deal" onClick={()=>go(currentDeal + 1 < dealSteps.length ? dealSteps[currentDeal + 1] : last)} style={buttonStyle}>Deal »</button>
+              <button aria-label="Last step" onClick={()=>go(last)} style={buttonStyle}>⏭</button>
+              <span style={{ fontSize: 13, color: "#6b7280" }}>Step {step} / {last}</span>
+            </div>
+            <div style={{ ...panelStyle, marginBottom: 8, fontSize: 14 }}>
+              <div style={{ fontFamily: "monospace", color: "#4f46e5" }}>{cur.move || "start of game"}</div>
+              {cur.lines.map((l, i) => <div key={i} style={{ color: "#374151" }}>{l}</div>)}
+            </div>
+
+            <StepView state={cur.state} />
+
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginTop: 10 }}>
+              <div>
+                <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Deals</div>
+                <div style={panelStyle}><DealTable deals={rec.deals} dealSteps={dealSteps} current={currentDeal} onJump={go} /></div>
+                {currentDeal >= 0 && rec.deals[currentDeal].pegging.length > 0 && (
+                  <div style={{ ...panelStyle, marginTop: 8, fontFamily: "monospace" }}>
+                    Pegging: {rec.deals[currentDeal].pegging.join(", ")}
+                  </div>
+                )}
+              </div>
+              <div>
+                <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Game Log to this step</div>
+                <div style={{ ...panelStyle, maxHeight: 300, overflow: "auto", fontSize: 14, lineHeight: "1.5" }}>
+                  {cur.state.log.map((l,i)=> <div key={i} style={{ color: "#374151" }}>{l}</div>)}
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
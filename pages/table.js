@@ -0,0 +1,179 @@
+import { useState, useEffect, useReducer } from "react";
+import Link from "next/link";
+import { cardToString, legalPlays } from "../lib/cribbage";
+import { RULE_PRESETS, DEFAULT_RULES, describeRules } from "../lib/rules";
+import { VARIANTS, initMultiGame, multiGameReducer, multiDiscardAI, multiPegAI, seatName, sideName } from "../lib/multiGame";
+import { CribbageBoard } from "../components/CribbageBoard";
+import { CardView, HandRow } from "../components/Cards";
+import { ShowPanel } from "../components/ShowPanel";
+
+/** ---------------------- Three- and Four-Player Table ---------------------- */
+// You sit in seat 0; the AI plays every other seat (lib/multiGame.js), with a short pause per move
+// so the table can be followed.
+const AI_DELAY = 700;
+const SIDE_COLORS = ["#b7b7b7", "#c9b037", "#3b82f6"];
+const buttonStyle = { padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" };
+const selectStyle = { padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" };
+const randomSeed = () => Math.floor(Math.random() * 1e9);
+
+function tableReducer(state, action) {
+  if (action.type === "newGame") return initMultiGame(action.seed, action.opts);
+  return multiGameReducer(state, action);
+}
+
+// The seat that moves next, and whether anything is left for the table to do on its own.
+function nextActor(game) {
+  if (game.gameOver) return null;
+  if (game.phase === "discard") { // the AI seats toss without waiting for you
+    const seat = game.tossed.findIndex((t, i) => i > 0 && !t);
+    return seat > 0 ? seat : (game.tossed[0] ? null : 0);
+  }
+  if (game.phase === "cut") return (game.dealer + game.hands.length - 1) % game.hands.length; // dealer's right cuts
+  if (game.phase === "pegging") return game.peg.next;
+  return null;
+}
+
+function SeatStrip({ game }) {
+  const v = VARIANTS[game.variant];
+  return (
+    <div style={{ display: "flex", gap: 12, flexWrap: "wrap", fontSize: 14, marginBottom: 8 }}>
+      {game.scores.map((score, side) => (
+        <span key={side} style={{ display: "inline-flex", gap: 6, alignItems: "center" }}>
+          <span style={{ width: 12, height: 12, borderRadius: 6, background: SIDE_COLORS[side], border: "1px solid #111827" }} />
+          {sideName(game, side)}: <b>{score}</b>
+        </span>
+      ))}
+      <span style={{ color: "#6b7280" }}>
+        {v.seatNames.map((name, seat) => seat === 0 ? null : `${name} ${game.phase === "pegging" ? game.peg.hands[seat].length : game.hands[seat].length} cards`).filter(Boolean).join(" · ")}
+      </span>
+    </div>
+  );
+}
+
+export default function TablePage() {
+  const [variant, setVariant] = useState("three");
+  const [preset, setPreset] = useState(DEFAULT_RULES.preset);
+  const [game, dispatch] = useReducer(tableReducer, null, () => initMultiGame(0, { variant: "three" }));
+  const [started, setStarted] = useState(false);
+  const [sel, setSel] = useState(null);
+
+  function newGame(v = variant, p = preset) {
+    setVariant(v); setPreset(p); setSel(null); setStarted(true);
+    dispatch({ type: "newGame", seed: randomSeed(), opts: { variant: v, rules: RULE_PRESETS[p] } });
+  }
+  useEffect(()=>{ newGame(); }, []);
+
+  const { phase, peg, dealer, gameOver, showResult } = game;
+  const actor = nextActor(game);
+
+  // AI seats, one move at a time.
+  useEffect(()=>{
+    if (!started || actor === null || actor === 0) return;
+    const t = setTimeout(()=>{
+      if (phase === "discard") dispatch({ type: "discard", who: actor, card: multiDiscardAI(game, actor) });
+      else if (phase === "cut") dispatch({ type: "cut" });
+      else {
+        const card = multiPegAI(game, actor);
+        dispatch(card ? { type: "play", who: actor, card } : { type: "go", who: actor });
+      }
+    }, AI_DELAY);
+    return () => clearTimeout(t);
+  }, [game, started]);
+  useEffect(()=>{ if (phase === "deal" && started) dispatch({ type: "deal" }); }, [phase, started]);
+  useEffect(()=>{ if (phase === "show" && !showResult) dispatch({ type: "show" }); }, [phase, showResult]);
+  useEffect(()=>{
+    if (phase !== "show" || !showResult || gameOver) return;
+    const t = setTimeout(()=>dispatch({ type: "deal" }), 4000);
+    return () => clearTimeout(t);
+  }, [phase, showResult, gameOver]);
+
+  const sides = game.scores.map((_, side) => ({ key: side, color: SIDE_COLORS[side], name: sideName(game, side) }));
+  const myDiscard = phase === "discard" && !game.tossed[0];
+  const myPegTurn = phase === "pegging" && actor === 0;
+  const pegLegal = myPegTurn ? legalPlays(peg.hands[0], peg.total) : [];
+  const hand = phase === "pegging" ? peg.hands[0] : game.hands[0];
+
+  return (
+    <main style={{ minHeight: "100vh", background: "linear-gradient(135deg, #f8fafc, #eef2ff)", padding: 16 }}>
+      <div style={{ maxWidth: 1000, margin: "0 auto" }}>
+        <header style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+          <h1 style={{ fontSize: 24, fontWeight: 800 }}>Cribbage — {VARIANTS[game.variant].name}</h1>
+          <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", justifyContent: "flex-end", fontSize: 14 }}>
+            <select aria-label="Table" value={variant} onChange={(e)=>newGame(e.target.value, preset)} style={selectStyle}>
+              {Object.values(VARIANTS).map(v => <option key={v.variant} value={v.variant}>{v.name}</option>)}
+            </select>
+            <select aria-label="Rules" value={preset} onChange={(e)=>newGame(variant, e.target.value)} style={selectStyle}>
+              {Object.values(RULE_PRESETS).filter(r => !r.fiveCard).map(r => <option key={r.preset} value={r.preset}>{r.name}</option>)}
+            </select>
+            <button onClick={()=>newGame()} style={buttonStyle}>New Game</button>
+            <Link href="/" style={{ color: "#4f46e5" }}>Back to the two-player table</Link>
+          </div>
+        </header>
+
+        {gameOver && (
+          <div style={{ background: "#fff7ed", border: "1px solid #fed7aa", color: "#9a3412", padding: 10, borderRadius: 8, marginBottom: 8, fontWeight: 700 }}>
+            GAME OVER — {sideName(game, game.winner)} {game.winner === 0 || VARIANTS[game.variant].teams ? "win" : "wins"}!
+            {game.result.kind !== "win" && ` ${game.result.kind === "double" ? "Double skunk" : "Skunk"}.`}
+          </div>
+        )}
+        <div style={{ fontSize: 14, color: "#374151", marginBottom: 8 }}>
+          Dealer: <b>{seatName(game, dealer)}</b> &nbsp;•&nbsp; Phase: <b>{phase}</b>
+          {actor !== null && actor !== 0 && <span style={{ marginLeft: 12, color: "#6366f1", fontWeight: 600 }}>{seatName(game, actor)} to move…</span>}
+        </div>
+        <SeatStrip game={game} />
+        <div style={{ marginTop: 10, marginBottom: 10 }}>
+          <CribbageBoard scores={game.scores} prevScores={game.prevScores} target={game.rules.targetScore} skunkLine={game.rules.skunkLine} doubleSkunkLine={game.rules.doubleSkunkLine} sides={sides} />
+        </div>
+
+        {game.starter && <div style={{ fontSize: 14, marginBottom: 6 }}>Starter: <b>{cardToString(game.starter)}</b></div>}
+        {phase === "pegging" && <div style={{ fontSize: 14, marginBottom: 6 }}>Count: <b>{peg.total}</b> — Next: <b>{seatName(game, peg.next)}</b></div>}
+
+        {myDiscard ? (
+          <HandRow title="Your Hand — select 1 for crib" cards={hand} selectable selectedIds={sel ? [sel] : []} onCardClick={(c)=>setSel(cardToString(c))} />
+        ) : (
+          <HandRow title="Your Hand" cards={hand} />
+        )}
+        {myDiscard && (
+          <button disabled={!sel} onClick={()=>{ dispatch({ type: "discard", who: 0, card: hand.find(c => cardToString(c) === sel) }); setSel(null); }} style={{ ...buttonStyle, marginBottom: 8, background: sel ? "white" : "#f3f4f6" }}>
+            Put 1 in Crib
+          </button>
+        )}
+        {phase === "cut" && actor === 0 && <button onClick={()=>dispatch({ type: "cut" })} style={{ ...buttonStyle, marginBottom: 8 }}>Cut Starter</button>}
+
+        {myPegTurn && (
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+            {pegLegal.map((c,i)=> <button key={i} onClick={()=>dispatch({ type: "play", who: 0, card: c })} style={buttonStyle}>Play {cardToString(c)}</button>)}
+            {pegLegal.length === 0 && <button onClick={()=>dispatch({ type: "go", who: 0 })} style={buttonStyle}>Say Go</button>}
+          </div>
+        )}
+        {phase === "pegging" && (
+          <div>
+            <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Pegging Stack (total {peg.total})</div>
+            <div style={{ display: "flex", flexWrap: "wrap", minHeight: 72 }}>{peg.stack.map((c,i)=> <CardView key={i} card={c} />)}</div>
+          </div>
+        )}
+
+        <div style={{ display: "grid", gridTemplateColumns: "1.1fr 0.9fr", gap: 12, marginTop: 10 }}>
+          <div>
+            {showResult && (
+              <>
+                <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>The Show</div>
+                <ShowPanel result={showResult} />
+              </>
+            )}
+          </div>
+          <div>
+            <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Game Log</div>
+            <div style={{ maxHeight: 300, overflow: "auto", background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 14, lineHeight: "1.5" }}>
+              {game.log.map((l,i)=> <div key={i} style={{ color: "#374151" }}>{l}</div>)}
+            </div>
+          </div>
+        </div>
+
+        <footer style={{ fontSize: 12, textAlign: "center", color: "#6b7280", padding: 16 }}>
+          {game.variant === "three" ? "Five cards each, one more to the crib, one toss each." : "Five cards each, one toss each; partners sit opposite and score together."} Rules — {describeRules(game.rules)}.
+        </footer>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,232 @@
+import { useState, useEffect, useMemo, useRef } from "react";
+import Link from "next/link";
+import { handBreakdown } from "../lib/cribbage";
+import { RULE_PRESETS, DEFAULT_RULES, describeRules } from "../lib/rules";
+import { DRILLS, CATEGORIES, dealDrill, missedCategories } from "../lib/trainer";
+import { loadTrainer, writeTrainer, recordAttempt, emptyTrainer } from "../lib/storage";
+import { HandRow } from "../components/Cards";
+import { ShowPanel } from "../components/ShowPanel";
+
+/** ---------------------- Counting Trainer ---------------------- */
+// Deal, count, check. Hands come from lib/trainer.js; every answer is kept (lib/storage.js) so
+// accuracy and speed can be followed over time. ?seed= repeats a session's hands.
+const buttonStyle = { padding: "6px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white" };
+const panelStyle = { background: "white", border: "1px solid #e5e7eb", borderRadius: 8, padding: 8, fontSize: 13 };
+const inputStyle = { width: 56, padding: "4px 6px", borderRadius: 6, border: "1px solid #e5e7eb" };
+const BLOCK = 10; // attempts per row of the progress table
+const randomSeed = () => Math.floor(Math.random() * 1e9);
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+const pct = (k, n) => (n ? `${Math.round((k / n) * 100)}%` : "—");
+
+function summarize(attempts) {
+  const right = attempts.filter(a => a.correct);
+  return {
+    n: attempts.length,
+    correct: right.length,
+    avgMs: attempts.length ? attempts.reduce((s, a) => s + a.ms, 0) / attempts.length : 0,
+  };
+}
+
+function ProgressPanel({ attempts, session, onReset }) {
+  const all = summarize(attempts), mine = summarize(session);
+  const blocks = [];
+  for (let i = 0; i < attempts.length; i += BLOCK) blocks.push({ from: i + 1, ...summarize(attempts.slice(i, i + BLOCK)) });
+  const misses = {};
+  for (const a of attempts) for (const key of a.missed || []) misses[key] = (misses[key] || 0) + 1;
+  const worst = CATEGORIES.filter(c => misses[c.key]).sort((a, b) => misses[b.key] - misses[a.key]);
+  const byDrill = Object.values(DRILLS).map(d => ({ d, ...summarize(attempts.filter(a => a.drill === d.drill)) })).filter(r => r.n);
+  const row = (label, value) => (
+    <tr key={label} style={{ borderTop: "1px solid #f3f4f6" }}>
+      <td style={{ padding: "2px 4px", color: "#374151" }}>{label}</td>
+      <td style={{ padding: "2px 4px", textAlign: "right", fontWeight: 600 }}>{value}</td>
+    </tr>
+  );
+  return (
+    <div style={panelStyle}>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <tbody>
+          {row("This session", `${mine.correct} / ${mine.n} right (${pct(mine.correct, mine.n)}), ${mine.n ? seconds(mine.avgMs) : "—"} a hand`)}
+          {row("All time", `${all.correct} / ${all.n} right (${pct(all.correct, all.n)}), ${all.n ? seconds(all.avgMs) : "—"} a hand`)}
+          {byDrill.map(r => row(r.d.name, `${pct(r.correct, r.n)} of ${r.n}, ${seconds(r.avgMs)}`))}
+          {worst.length > 0 && row("Most missed", worst.slice(0, 3).map(c => `${c.name} (${misses[c.key]})`).join(", "))}
+        </tbody>
+      </table>
+      {blocks.length > 1 && (
+        <>
+          <div style={{ fontSize: 12, color: "#6b7280", margin: "8px 0 4px" }}>Over time, {BLOCK} hands a row</div>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <tbody>
+              {blocks.slice(-10).map(b => (
+                <tr key={b.from} style={{ borderTop: "1px solid #f3f4f6" }}>
+                  <td style={{ padding: "2px 4px", color: "#6b7280" }}>{b.from}–{b.from + b.n - 1}</td>
+                  <td style={{ padding: "2px 4px" }}>
+                    <div style={{ height: 8, width: `${(b.correct / b.n) * 100}%`, minWidth: 2, background: "#6366f1", borderRadius: 4 }} />
+                  </td>
+                  <td style={{ padding: "2px 4px", textAlign: "right" }}>{pct(b.correct, b.n)}</td>
+                  <td style={{ padding: "2px 4px", textAlign: "right" }}>{seconds(b.avgMs)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+      <button onClick={onReset} style={{ marginTop: 6, padding: "4px 10px", borderRadius: 8, border: "1px solid #e5e7eb", background: "white", fontSize: 12 }}>Reset progress</button>
+    </div>
+  );
+}
+
+// What was counted against what was there, by category.
+function Verdict({ deal, result }) {
+  const { breakdown } = deal;
+  const shown = CATEGORIES.filter(c => breakdown[c.key] || (result.answers && result.answers[c.key]));
+  return (
+    <div style={{ ...panelStyle, marginBottom: 8, fontSize: 14 }}>
+      <div style={{ fontWeight: 700, color: result.correct ? "#166534" : "#991b1b", marginBottom: 6 }}>
+        {result.correct ? `Right — ${breakdown.total}` : `You said ${result.answer}; it is ${breakdown.total}`} ({seconds(result.ms)})
+      </div>
+      <table style={{ borderCollapse: "collapse" }}>
+        <tbody>
+          {shown.map(c => {
+            const missed = result.missed && result.missed.includes(c.key);
+            return (
+              <tr key={c.key} style={{ borderTop: "1px solid #f3f4f6", color: missed ? "#991b1b" : "#374151" }}>
+                <td style={{ padding: "2px 8px 2px 0" }}>{c.name}</td>
+                <td style={{ padding: "2px 8px", textAlign: "right", fontWeight: 600 }}>{breakdown[c.key]}</td>
+                {result.answers && <td style={{ padding: "2px 8px" }}>{missed ? `you said ${result.answers[c.key] || 0}` : "✓"}</td>}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function TrainerPage() {
+  const [drill, setDrill] = useState("any");
+  const [preset, setPreset] = useState(DEFAULT_RULES.preset);
+  const [seed, setSeed] = useState(null);
+  const [n, setN] = useState(0);
+  const [byCategory, setByCategory] = useState(false);
+  const [total, setTotal] = useState("");
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [trainer, setTrainer] = useState(emptyTrainer);
+  const [session, setSession] = useState([]);
+  const [now, setNow] = useState(0);
+  const startedAt = useRef(0);
+  const totalRef = useRef(null);
+
+  useEffect(()=>{
+    const linked = parseInt(new URLSearchParams(window.location.search).get("seed"), 10);
+    setSeed(Number.isFinite(linked) ? linked : randomSeed());
+    setTrainer(loadTrainer());
+  }, []);
+
+  const deal = useMemo(() => (seed === null ? null : dealDrill(seed, n, drill, RULE_PRESETS[preset])), [seed, n, drill, preset]);
+  useEffect(()=>{
+    if (!deal) return;
+    startedAt.current = Date.now(); setNow(startedAt.current);
+    setResult(null); setTotal(""); setAnswers({});
+    if (totalRef.current) totalRef.current.focus();
+  }, [deal]);
+  // The clock runs until the hand is answered.
+  useEffect(()=>{
+    if (!deal || result) return;
+    const t = setInterval(()=>setNow(Date.now()), 200);
+    return () => clearInterval(t);
+  }, [deal, result]);
+
+  const categories = deal ? CATEGORIES.filter(c => (c.key !== "house798" || deal.rules.house798) && (c.key !== "nineteen" || deal.rules.nineteenPoints)) : [];
+  const categorySum = categories.reduce((s, c) => s + (parseInt(answers[c.key], 10) || 0), 0);
+  const answer = byCategory ? categorySum : parseInt(total, 10);
+  const canCheck = !result && (byCategory || Number.isFinite(answer));
+
+  function check() {
+    if (!canCheck) return;
+    const ms = Date.now() - startedAt.current;
+    const given = byCategory ? Object.fromEntries(categories.map(c => [c.key, parseInt(answers[c.key], 10) || 0])) : null;
+    const correct = answer === deal.breakdown.total;
+    const r = { answer, correct, ms, answers: given, missed: given ? missedCategories(deal.breakdown, given) : null };
+    const attempt = { at: Date.now(), drill, isCrib: deal.isCrib, byCategory, correct, ms, missed: r.missed };
+    const next = recordAttempt(trainer, attempt);
+    setTrainer(next); writeTrainer(next);
+    setSession(s => s.concat([attempt]));
+    setResult(r);
+  }
+  const nextHand = () => setN(i => i + 1);
+  const onKey = (e) => { if (e.key === "Enter") (result ? nextHand : check)(); };
+
+  return (
+    <main style={{ minHeight: "100vh", background: "linear-gradient(135deg, #f8fafc, #eef2ff)", padding: 16 }}>
+      <div style={{ maxWidth: 1000, margin: "0 auto" }}>
+        <header style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+          <h1 style={{ fontSize: 24, fontWeight: 800 }}>Counting Trainer</h1>
+          <Link href="/" style={{ color: "#4f46e5", fontSize: 14 }}>Back to the table</Link>
+        </header>
+
+        <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", fontSize: 14, marginBottom: 8 }}>
+          <select aria-label="Drill" value={drill} onChange={(e)=>{ setDrill(e.target.value); setN(0); setSession([]); }} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+            {Object.values(DRILLS).map(d => <option key={d.drill} value={d.drill}>{d.name}</option>)}
+          </select>
+          <select aria-label="Rules" value={preset} onChange={(e)=>setPreset(e.target.value)} style={{ padding: "4px 6px", borderRadius: 8, border: "1px solid #e5e7eb" }}>
+            {Object.values(RULE_PRESETS).map(r => <option key={r.preset} value={r.preset}>{r.name}</option>)}
+          </select>
+          <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <input type="checkbox" checked={byCategory} onChange={(e)=>setByCategory(e.target.checked)} disabled={!!result} />
+            Count by category
+          </label>
+          <span style={{ color: "#6b7280" }}>Session seed {seed ?? "—"}, hand {n + 1}</span>
+          <button onClick={()=>{ setSeed(randomSeed()); setN(0); setSession([]); }} style={buttonStyle}>New session</button>
+        </div>
+
+        {deal && (
+          <div style={{ display: "grid", gridTemplateColumns: "1.1fr 0.9fr", gap: 12 }}>
+            <div>
+              <div style={{ display: "flex", gap: 16, alignItems: "flex-end", flexWrap: "wrap" }}>
+                <HandRow title={deal.isCrib ? "Crib" : "Hand"} cards={deal.hand} />
+                <HandRow title="Starter" cards={[deal.starter]} />
+                <div style={{ fontSize: 20, fontWeight: 700, color: result ? "#6b7280" : "#4f46e5", marginBottom: 16 }}>{seconds(result ? result.ms : now - startedAt.current)}</div>
+              </div>
+
+              {byCategory ? (
+                <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center", fontSize: 14, marginBottom: 8 }}>
+                  {categories.map((c, i) => (
+                    <label key={c.key}>{c.name}{" "}
+                      <input ref={i === 0 ? totalRef : null} aria-label={c.name} type="number" min="0" value={answers[c.key] || ""} disabled={!!result} onKeyDown={onKey}
+                        onChange={(e)=>setAnswers(a => ({ ...a, [c.key]: e.target.value }))} style={inputStyle} />
+                    </label>
+                  ))}
+                  <span>= <b>{categorySum}</b></span>
+                </div>
+              ) : (
+                <label style={{ display: "block", fontSize: 14, marginBottom: 8 }}>Total{" "}
+                  <input ref={totalRef} aria-label="Total" type="number" min="0" value={total} disabled={!!result} onKeyDown={onKey} onChange={(e)=>setTotal(e.target.value)} style={inputStyle} />
+                </label>
+              )}
+              <div style={{ display: "flex", gap: 8, marginBottom: 8 }}>
+                {!result && <button disabled={!canCheck} onClick={check} style={{ ...buttonStyle, background: canCheck ? "white" : "#f3f4f6" }}>Check</button>}
+                {result && <button onClick={nextHand} onKeyDown={onKey} autoFocus style={buttonStyle}>Next hand</button>}
+              </div>
+
+              {result && (
+                <>
+                  <Verdict deal={deal} result={result} />
+                  <ShowPanel result={{ sections: [{ ...handBreakdown(deal.hand, deal.starter, deal.isCrib, deal.rules), title: deal.isCrib ? "Crib" : "Hand" }] }} />
+                </>
+              )}
+            </div>
+            <div>
+              <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 6 }}>Progress</div>
+              <ProgressPanel attempts={trainer.attempts} session={session} onReset={()=>{ const t = emptyTrainer(); setTrainer(t); writeTrainer(t); setSession([]); }} />
+            </div>
+          </div>
+        )}
+
+        <footer style={{ fontSize: 12, textAlign: "center", color: "#6b7280", padding: 16 }}>
+          Rules — {describeRules(deal ? deal.rules : RULE_PRESETS[preset])}. Enter checks a count and deals the next hand.
+        </footer>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// Checks for the pure modules: game records, save migrations, the two-seat and multi-seat engines
+// and online room validation. Usage:
+//   npm test
+// Every game is played out from fixed seeds, so a failure reproduces. Prints one line per check
+// and exits non-zero if any fails.
+import assert from "node:assert/strict";
+import { legalPlays, cardsEqual, cardValue15 } from "../lib/cribbage.js";
+import { RULE_PRESETS } from "../lib/rules.js";
+import { initGame, gameReducer, cutRange, CUT_MIN } from "../lib/gameMachine.js";
+import { buildRecord, parseRecord, encodeMove, decodeMove, RECORD_VERSION } from "../lib/record.js";
+import { VARIANTS, initMultiGame, multiGameReducer, multiDiscardAI, multiPegAI } from "../lib/multiGame.js";
+
+// lib/storage.js reads window.localStorage; a Map stands in for it.
+const stored = new Map();
+globalThis.window = {
+  localStorage: { getItem: (k) => (stored.has(k) ? stored.get(k) : null), setItem: (k, v) => stored.set(k, String(v)) },
+};
+const { loadSave, writeSave, SAVE_VERSION } = await import("../lib/storage.js");
+const { createRoom, joinRoom, applyMove, getRoom, seatView } = await import("../lib/rooms.js");
+
+const results = [];
+function check(name, fn) {
+  try { fn(); results.push({ name, ok: true }); } catch (e) { results.push({ name, ok: false, error: e }); }
+}
+
+/** ---------------------- Two-seat games ---------------------- */
+// Plays a game out with simple choices for both seats (the first two cards to the crib, the first
+// legal card, each cut at ten), calling onStep after every action. Returns the final state and
+// the actions that made it.
+function playOut(state, { claims = null, onStep = () => {} } = {}) {
+  let s = state;
+  const actions = [];
+  const act = (a) => {
+    const next = gameReducer(s, a);
+    assert.notEqual(next, s, `${encodeMove(a)} was refused in phase ${s.phase}`);
+    onStep(s, a, next);
+    actions.push(a); s = next;
+  };
+  for (let guard = 0; !s.gameOver; guard++) {
+    assert.ok(guard < 5000, "game did not finish");
+    if (s.phase === "deal" || (s.phase === "show" && s.showResult)) act({ type: "deal" });
+    else if (s.phase === "discard") act({ type: "discard", who: s.tossed.P ? "AI" : "P", cards: (s.tossed.P ? s.aiHand : s.pHand).slice(0, 2) });
+    else if (s.phase === "cut") act({ type: "cut", at: 10 });
+    else if (s.phase === "pegging") {
+      const who = s.peg.next, legal = legalPlays(who === "P" ? s.peg.pHand : s.peg.aiHand, s.peg.total);
+      act(legal.length ? { type: "play", who, card: legal[0] } : { type: "go", who });
+    } else act(s.options.countOwn ? { type: "show", claims: claims(s) } : { type: "show" });
+  }
+  return { state: s, actions };
+}
+
+check("a game reaches the target and the winner holds it", () => {
+  const { state } = playOut(initGame(101, { rules: RULE_PRESETS.standard }));
+  assert.equal(state.scores[state.winner], 121);
+  assert.ok(state.scores[state.winner === "P" ? "AI" : "P"] < 121);
+});
+
+check("cut takes the starter at the chosen position", () => {
+  let s = gameReducer(initGame(7, { dealer: "P" }), { type: "deal" });
+  s = gameReducer(s, { type: "discard", who: "P", cards: s.pHand.slice(0, 2) });
+  s = gameReducer(s, { type: "discard", who: "AI", cards: s.aiHand.slice(0, 2) });
+  const { min, max } = cutRange(s);
+  assert.equal(min, CUT_MIN);
+  assert.equal(max, s.deck.length - CUT_MIN);
+  for (const at of [min - 1, max + 1, 2.5, "7"]) assert.equal(gameReducer(s, { type: "cut", at }), s, `cut at ${at} was allowed`);
+  for (const at of [min, max]) {
+    const next = gameReducer(s, { type: "cut", at });
+    assert.ok(cardsEqual(next.starter, s.deck[s.deck.length - 1 - at]));
+    assert.equal(next.deck.length, s.deck.length - 1);
+  }
+  assert.ok(cardsEqual(gameReducer(s, { type: "cut" }).starter, s.deck[s.deck.length - 1]), "a cut with no position turns the top card");
+});
+
+check("the five-card game pegs once through and gives three for last", () => {
+  const rules = RULE_PRESETS.fiveCard;
+  let first = true;
+  playOut(initGame(33, { rules, dealer: "AI" }), {
+    onStep: (before, action, after) => {
+      if (action.type === "deal" && first) {
+        assert.equal(after.pHand.length, 5);
+        assert.equal(after.scores.P, 3, "the first pone takes three for last");
+        first = false;
+      }
+      if (before.phase === "pegging" && after.phase === "pegging") {
+        assert.ok(after.peg.total >= before.peg.total, "the count restarted");
+      }
+    },
+  });
+});
+
+check("muggins takes an under-count and an over-count scores nothing", () => {
+  // P claims nothing for the hand and far too much for the crib.
+  const claims = () => ({ hand: 0, crib: 99 });
+  let seen = 0;
+  const { state } = playOut(initGame(5, { countOwn: true, rules: RULE_PRESETS.standard, dealer: "P" }), {
+    claims,
+    onStep: (before, action, after) => {
+      if (action.type !== "show" || after.gameOver) return;
+      const { pone, dealer, crib } = after.showResult;
+      const hand = pone.who === "P" ? pone : dealer;
+      const muggins = (after.dealPoints.AI.muggins || 0) - (before.dealPoints.AI.muggins || 0);
+      assert.equal(after.dealPoints.P.hand || 0, 0);
+      assert.equal(muggins, hand.total);
+      if (crib.who === "P") assert.equal(after.dealPoints.P.crib || 0, 0, "the over-count was scored");
+      seen++;
+    },
+  });
+  assert.ok(seen > 0 && state.gameOver);
+});
+
+/** ---------------------- Records ---------------------- */
+check("a record replays to the same game", () => {
+  const { state, actions } = playOut(initGame(202, { rules: RULE_PRESETS.short }));
+  const record = JSON.parse(JSON.stringify(buildRecord(state, actions)));
+  assert.equal(record.version, RECORD_VERSION);
+  assert.ok(record.dealCuts, "a game with no dealer given cuts for deal");
+  const parsed = parseRecord(JSON.stringify(record));
+  assert.deepEqual(parsed.actions, actions.map(a => decodeMove(encodeMove(a))));
+  assert.deepEqual(parsed.steps[parsed.steps.length - 1].state.scores, state.scores);
+  assert.ok(record.moves.includes("cut 10"));
+});
+
+check("a record that does not match its moves is refused", () => {
+  const { state, actions } = playOut(initGame(303, { rules: RULE_PRESETS.short, dealer: "P" }));
+  const record = buildRecord(state, actions);
+  const withMoves = (moves) => JSON.stringify({ ...record, moves, deals: undefined, result: undefined });
+  assert.throws(() => parseRecord("{"), /Not valid JSON/);
+  assert.throws(() => parseRecord(JSON.stringify({ ...record, version: RECORD_VERSION + 1 })), /newer/);
+  assert.throws(() => parseRecord(withMoves(["deal", "cut"])), /Move 2 \("cut"\) is not legal/);
+  assert.throws(() => parseRecord(withMoves(["deal", "shuffle"])), /Unrecognised move/);
+  assert.throws(() => parseRecord(JSON.stringify({ ...record, result: { ...record.result, scores: { P: 0, AI: 0 } } })), /final score/);
+  const deals = record.deals.map((d, i) => (i === 0 ? { ...d, starter: "XX" } : d));
+  assert.throws(() => parseRecord(JSON.stringify({ ...record, deals })), /deal summaries/);
+});
+
+/** ---------------------- Saves ---------------------- */
+check("a version 1 save migrates to the current version", () => {
+  stored.set("cribbage.save", JSON.stringify({ version: 1, game: { seed: 9 }, actions: [], settings: { mcDiscard: 300, mcPeg: 180 } }));
+  const save = loadSave();
+  assert.equal(save.version, SAVE_VERSION);
+  assert.deepEqual(save.game.rules, RULE_PRESETS.house);
+  assert.deepEqual(save.settings, {
+    mcDiscard: 300, mcPeg: 180, rules: RULE_PRESETS.house, aiLevel: "custom", personality: "balanced", animSpeed: "normal", theme: "standard",
+  });
+});
+
+check("saves round-trip, and unknown versions are dropped", () => {
+  writeSave({ game: { seed: 1 }, actions: [], settings: { theme: "dark" } });
+  assert.equal(loadSave().settings.theme, "dark");
+  stored.set("cribbage.save", JSON.stringify({ version: SAVE_VERSION + 1, game: {} }));
+  assert.equal(loadSave(), null);
+  stored.set("cribbage.save", JSON.stringify({ game: {} }));
+  assert.equal(loadSave(), null);
+  stored.set("cribbage.save", "not json");
+  assert.equal(loadSave(), null);
+});
+
+/** ---------------------- Multi-seat games ---------------------- */
+for (const variant of Object.keys(VARIANTS)) {
+  check(`a ${VARIANTS[variant].name.toLowerCase()} game plays out`, () => {
+    let s = initMultiGame(44, { variant, rules: RULE_PRESETS.short });
+    const act = (a) => { const next = multiGameReducer(s, a); assert.notEqual(next, s, `${a.type} was refused`); s = next; };
+    for (let guard = 0; !s.gameOver; guard++) {
+      assert.ok(guard < 5000, "game did not finish");
+      if (s.phase === "deal" || (s.phase === "show" && s.showResult)) act({ type: "deal" });
+      else if (s.phase === "discard") act({ type: "discard", who: s.tossed.indexOf(null), card: multiDiscardAI(s, s.tossed.indexOf(null)) });
+      else if (s.phase === "cut") {
+        assert.equal(s.crib.length, 4);
+        assert.ok(s.hands.every(h => h.length === 4));
+        act({ type: "cut" });
+      } else if (s.phase === "pegging") {
+        const who = s.peg.next, card = multiPegAI(s, who);
+        assert.ok(!card || s.peg.total + cardValue15(card.r) <= 31);
+        act(card ? { type: "play", who, card } : { type: "go", who });
+      } else act({ type: "show" });
+    }
+    assert.equal(s.scores[s.winner], 61);
+    assert.equal(s.scores.length, VARIANTS[variant].teams ? 2 : VARIANTS[variant].seats);
+  });
+}
+
+/** ---------------------- Rooms ---------------------- */
+const rejects = (fn, status, message) => assert.throws(fn, (e) => e.status === status && message.test(e.message));
+
+check("rooms take only known rules and two players", () => {
+  rejects(() => createRoom("toString"), 400, /Unknown rules/);
+  rejects(() => createRoom({}), 400, /Unknown rules/);
+  const { code } = createRoom("short");
+  joinRoom(code);
+  rejects(() => joinRoom(code), 409, /full/);
+  rejects(() => getRoom("?????"), 404, /No room/);
+});
+
+check("room moves are checked against the sender's seat", () => {
+  const { code, token } = createRoom();
+  const guest = joinRoom(code).token;
+  const g = getRoom(code).game;
+  rejects(() => applyMove(code, "nobody", { type: "go" }), 403, /Not a player/);
+  rejects(() => applyMove(code, token, { type: "shuffle" }), 400, /Unknown move/);
+  for (const cards of ["ab", [null, 1], [g.pHand[0], g.pHand[0]], [g.aiHand[0], g.pHand[0]], g.pHand.slice(0, 3)]) {
+    rejects(() => applyMove(code, token, { type: "discard", cards }), 400, /do not hold/);
+  }
+  rejects(() => applyMove(code, token, { type: "play", card: g.pHand[0] }), 409, /not allowed/);
+  applyMove(code, token, { type: "discard", cards: g.pHand.slice(0, 2) });
+  applyMove(code, guest, { type: "discard", cards: g.aiHand.slice(0, 2) });
+  const room = getRoom(code), dealer = room.game.dealer;
+  rejects(() => applyMove(code, dealer === "P" ? token : guest, { type: "cut", at: 10 }), 409, /not allowed/);
+  applyMove(code, dealer === "P" ? guest : token, { type: "cut", at: 10 });
+  const view = seatView(room, "P");
+  assert.equal(view.oppHand, null);
+  assert.equal(view.peg.oppCount, 4);
+  assert.ok(!("deck" in view) && !("seed" in view));
+});
+
+for (const r of results) console.log(`${r.ok ? "ok  " : "FAIL"} ${r.name}${r.ok ? "" : `\n     ${r.error.message}`}`);
+const failed = results.filter(r => !r.ok).length;
+console.log(`\n${results.length - failed} passed, ${failed} failed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Rebuilds the crib toss tables in lib/cribbage.js (CRIB_TOSS_AVG, CRIB_TOSS_ZERO and
+// CRIB_TOSS_FLUSH_ONLY) by enumeration. Usage:
+//   npm run cribtables              prints the tables, ready to paste over the ones in lib/cribbage.js
+//   npm run cribtables -- --check   compares them with lib/cribbage.js and fails on any difference
+// Every two-card toss is scored with every pair of opponent cards and every starter from the other
+// 50 cards, under standard scoring. A toss of two ranks is weighted by suits: offsuit three times
+// in four, suited once. Takes about half a minute.
+import { makeDeck, handPoints, cardsEqual, SUITS, CRIB_TOSS_AVG, CRIB_TOSS_ZERO, CRIB_TOSS_FLUSH_ONLY } from "../lib/cribbage.js";
+import { RULE_PRESETS } from "../lib/rules.js";
+
+const STANDARD = RULE_PRESETS.standard;
+const WITH_FLUSH = { ...STANDARD, cribFourFlush: true };
+
+// Mean crib points, the chance of a zero crib, and the chance of a zero crib that holds a
+// four-card flush, for one toss.
+function enumerate(toss) {
+  const rest = makeDeck().filter(c => !toss.some(t => cardsEqual(t, c)));
+  let sum = 0, zero = 0, flushOnly = 0, n = 0;
+  for (let i = 0; i < rest.length; i++) for (let j = i + 1; j < rest.length; j++) {
+    const crib = [toss[0], toss[1], rest[i], rest[j]];
+    for (let k = 0; k < rest.length; k++) {
+      if (k === i || k === j) continue;
+      const pts = handPoints(crib, rest[k], true, STANDARD);
+      n++; sum += pts;
+      if (pts === 0) { zero++; if (handPoints(crib, rest[k], true, WITH_FLUSH) > 0) flushOnly++; }
+    }
+  }
+  return { avg: sum / n, zero: zero / n, flushOnly: flushOnly / n };
+}
+
+function buildTables(onRank) {
+  const grid = () => Array.from({ length: 13 }, () => Array(13).fill(0));
+  const avg = grid(), zero = grid(), flushOnly = grid();
+  for (let a = 1; a <= 13; a++) {
+    for (let b = a; b <= 13; b++) {
+      const off = enumerate([{ r: a, s: SUITS[0] }, { r: b, s: SUITS[1] }]);
+      const on = a === b ? off : enumerate([{ r: a, s: SUITS[0] }, { r: b, s: SUITS[0] }]);
+      const mix = (key) => (a === b ? off[key] : 0.75 * off[key] + 0.25 * on[key]);
+      avg[a-1][b-1] = avg[b-1][a-1] = mix("avg");
+      zero[a-1][b-1] = zero[b-1][a-1] = mix("zero");
+      flushOnly[a-1][b-1] = flushOnly[b-1][a-1] = a === b ? 0 : on.flushOnly;
+    }
+    onRank(a);
+  }
+  return [
+    { name: "CRIB_TOSS_AVG", places: 2, rows: avg, current: CRIB_TOSS_AVG },
+    { name: "CRIB_TOSS_ZERO", places: 4, rows: zero, current: CRIB_TOSS_ZERO },
+    { name: "CRIB_TOSS_FLUSH_ONLY", places: 4, rows: flushOnly, current: CRIB_TOSS_FLUSH_ONLY },
+  ];
+}
+
+const format = (t) => [
+  `export const ${t.name} = [`,
+  ...t.rows.map(row => `  [${row.map(v => v.toFixed(t.places)).join(", ")}],`),
+  "];",
+].join("\n");
+
+// Cells that differ from the committed table by more than its rounding.
+function differences(t) {
+  const out = [];
+  const slack = 0.5 * 10 ** -t.places + 1e-9;
+  t.rows.forEach((row, i) => row.forEach((v, j) => {
+    if (Math.abs(v - t.current[i][j]) > slack) out.push(`${t.name}[${i}][${j}] is ${t.current[i][j]}, enumeration gives ${v.toFixed(t.places + 2)}`);
+  }));
+  return out;
+}
+
+const check = process.argv.includes("--check");
+const extra = process.argv.slice(2).filter(a => a !== "--check");
+if (extra.length) {
+  console.error(`Unknown option ${extra[0]}.`);
+  process.exit(1);
+}
+const tables = buildTables((rank) => { if (process.stderr.isTTY) process.stderr.write(`\rrank ${rank}/13`); });
+if (process.stderr.isTTY) process.stderr.write("\n");
+if (check) {
+  const bad = tables.flatMap(differences);
+  for (const line of bad) console.error(line);
+  console.log(bad.length ? `${bad.length} cells differ.` : "Crib toss tables match the enumeration.");
+  process.exit(bad.length ? 1 : 0);
+}
+console.log(tables.map(format).join("\n\n"));
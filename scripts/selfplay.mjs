@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Headless AI against AI. Usage:
+//   npm run selfplay -- --a skilled --b "skilled,discardSims=2000" [--games 400] [--seed 1] [--rules standard] [--json]
+// Configs are described in lib/selfplay.js. Prints each side's win rate with a 95% interval,
+// points per deal by category and how long its decisions took.
+// lib/ is ES modules in .js files, which Node (20.19 and later) loads by detecting the syntax; the
+// npm script silences the warning that comes with it.
+import { parseConfig, runMatchup, POINT_CATEGORIES } from "../lib/selfplay.js";
+import { RULE_PRESETS } from "../lib/rules.js";
+
+function parseArgs(argv) {
+  const args = { a: "skilled", b: "skilled", games: "200", seed: "1", rules: "standard", json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (key === "json") args.json = true;
+    else if (key in args) args[key] = argv[++i];
+    else throw new Error(`Unknown option ${argv[i]}.`);
+  }
+  return args;
+}
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+const ms = (x) => `${x.toFixed(1)}ms`;
+
+function report(summary) {
+  const lines = [`${summary.games} games, seed ${summary.seed}, ${summary.rules} rules (seats swapped on each seed)`, ""];
+  for (const [i, s] of summary.sides.entries()) {
+    lines.push(`${"AB"[i]}  ${s.spec}`);
+    lines.push(`   wins ${s.wins} (${pct(s.winRate)}, 95% CI ${pct(s.interval[0])}–${pct(s.interval[1])}), game points ${s.gamePoints}`);
+    lines.push(`   per deal: ${POINT_CATEGORIES.map(cat => `${cat} ${s.perDeal[cat].toFixed(2)}`).join(", ")}`);
+    for (const kind of ["discard", "peg"]) {
+      const t = s.timings[kind];
+      lines.push(`   ${kind} decisions: ${t.n}, mean ${ms(t.mean)}, p95 ${ms(t.p95)}, max ${ms(t.max)}`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  const rules = RULE_PRESETS[args.rules];
+  if (!rules) throw new Error(`Unknown rules "${args.rules}" (${Object.keys(RULE_PRESETS).join(", ")}).`);
+  const games = parseInt(args.games, 10), seed = parseInt(args.seed, 10);
+  if (!(games > 0) || !Number.isFinite(seed)) throw new Error("--games and --seed take whole numbers.");
+  const summary = runMatchup({
+    a: parseConfig(args.a), b: parseConfig(args.b), games, seed, rules,
+    onGame: (done, total) => { if (process.stderr.isTTY) process.stderr.write(`\r${done}/${total} games`); },
+  });
+  if (process.stderr.isTTY) process.stderr.write("\n");
+  console.log(args.json ? JSON.stringify(summary, null, 2) : report(summary));
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}